@@ -0,0 +1,112 @@
+// chat-sessions.js - Multi-turn chat sessions with history trimmed to the context window
+
+// Rough token estimate (about 4 characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// elvis_retry refusal for a session turn (null for other tasks). A retry would run without the
+// chat history and never reach the session; failed turns are not in the history, so resending is safe
+function sessionRetryError(task, session) {
+  if (!task.sessionId) return null;
+  if (!session) {
+    return `Task ${task.id} was a turn of session ${task.sessionId}, which is closed. Open a new session with elvis_session({ action: "open" }) and send the message again.`;
+  }
+  return `Task ${task.id} is a turn of session ${session.id}. Resend it with elvis_session_send({ session_id: "${session.id}", message }) so it runs with the chat history.`;
+}
+
+class ChatSessions {
+  // options: { maxContextTokens, responseReserveTokens } (the "sessions" config section)
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.maxContextTokens = options.maxContextTokens || 8192;
+    this.responseReserve = options.responseReserveTokens !== undefined ? options.responseReserveTokens : 1024;
+  }
+
+  // Helper to generate session ID
+  generateId() {
+    return `sess_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+  }
+
+  // modelContextLength caps the window at what the model supports (null if unknown)
+  open({ model, system = '', modelContextLength = null }) {
+    const session = {
+      id: this.generateId(),
+      model,
+      system,
+      contextTokens: modelContextLength
+        ? Math.min(modelContextLength, this.maxContextTokens)
+        : this.maxContextTokens,
+      turns: [], // { user, assistant, at, promptTokens, responseTokens }
+      lastTaskId: null,
+      trimmedTurns: 0,
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  close(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  list() {
+    return Array.from(this.sessions.values());
+  }
+
+  setSystem(session, system) {
+    session.system = system;
+    session.updated = new Date().toISOString();
+  }
+
+  // Messages for the next request: the system prompt, as many recent turns as fit, then the new message.
+  // Older turns are dropped first; the system prompt and new message are always sent.
+  buildMessages(session, content) {
+    const budget = session.contextTokens - this.responseReserve;
+    let used = estimateTokens(session.system) + estimateTokens(content);
+
+    const kept = [];
+    for (let i = session.turns.length - 1; i >= 0; i--) {
+      const turn = session.turns[i];
+      const cost = estimateTokens(turn.user) + estimateTokens(turn.assistant);
+      if (used + cost > budget) break;
+      used += cost;
+      kept.unshift(turn);
+    }
+
+    const messages = [];
+    if (session.system) {
+      messages.push({ role: 'system', content: session.system });
+    }
+    for (const turn of kept) {
+      messages.push({ role: 'user', content: turn.user });
+      messages.push({ role: 'assistant', content: turn.assistant });
+    }
+    messages.push({ role: 'user', content });
+
+    return {
+      messages,
+      dropped: session.turns.length - kept.length,
+      estimatedTokens: used,
+      overBudget: used > budget
+    };
+  }
+
+  addTurn(session, user, assistant, stats = {}) {
+    session.turns.push({
+      user,
+      assistant,
+      at: new Date().toISOString(),
+      promptTokens: stats.prompt_eval_count || null,
+      responseTokens: stats.eval_count || null
+    });
+    session.updated = new Date().toISOString();
+  }
+}
+
+module.exports = { ChatSessions, estimateTokens, sessionRetryError };
@@ -0,0 +1,258 @@
+// config.js - Load ELVIS configuration from a JSON/YAML file and ELVIS_* environment variables
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const YAML = require('yaml');
+const { validatePresets } = require('./generation-options.js');
+
+const ELVIS_HOME = path.join(os.homedir(), '.elvis');
+
+// Every setting: dotted path, type, default and the environment variable that overrides it
+const SCHEMA = {
+  'ollama.host': { type: 'string', default: 'localhost', env: 'ELVIS_OLLAMA_HOST' },
+  'ollama.port': { type: 'integer', default: 11434, min: 1, max: 65535, env: 'ELVIS_OLLAMA_PORT' },
+  'ollama.apiKey': { type: 'string', default: null, env: 'ELVIS_OLLAMA_API_KEY', secret: true },
+  'ollama.lifecycle': { type: 'enum', values: ['auto', 'launchd', 'systemd', 'spawn', 'external'], default: 'auto', env: 'ELVIS_OLLAMA_LIFECYCLE' },
+  'ollama.plistPath': { type: 'string', default: path.join(os.homedir(), 'Library', 'LaunchAgents', 'com.ollama.server.plist'), env: 'ELVIS_OLLAMA_PLIST' },
+  'ollama.systemdUnit': { type: 'string', default: 'ollama.service', env: 'ELVIS_OLLAMA_SYSTEMD_UNIT' },
+  'ollama.binary': { type: 'string', default: 'ollama', env: 'ELVIS_OLLAMA_BINARY' },
+  'ollama.logFile': { type: 'string', default: path.join(ELVIS_HOME, 'ollama.log'), env: 'ELVIS_OLLAMA_LOG' },
+  'ollama.startupTimeoutMs': { type: 'integer', default: 30000, min: 1000, env: 'ELVIS_STARTUP_TIMEOUT_MS' },
+  'ollama.modelCacheTtlMs': { type: 'integer', default: 60000, min: 0, env: 'ELVIS_MODEL_CACHE_TTL_MS' },
+
+  'tasks.storePath': { type: 'string', default: path.join(ELVIS_HOME, 'tasks.jsonl'), env: 'ELVIS_TASK_STORE' },
+  'tasks.defaultModel': { type: 'string', default: 'llama3.2', env: 'ELVIS_DEFAULT_MODEL' },
+  'tasks.maxConcurrent': { type: 'integer', default: 2, min: 1, env: 'ELVIS_MAX_CONCURRENT' },
+  'tasks.maxPerModel': { type: 'integer', default: 1, min: 1, env: 'ELVIS_MAX_PER_MODEL' },
+  'tasks.presets': { type: 'presets', default: {}, env: 'ELVIS_PRESETS' },
+  'tasks.schemaRetries': { type: 'integer', default: 2, min: 0, max: 10, env: 'ELVIS_SCHEMA_RETRIES' },
+  'tasks.modelRefreshIntervalMs': { type: 'integer', default: 60000, min: 1000, env: 'ELVIS_MODEL_REFRESH_MS' },
+
+  'health.failureThreshold': { type: 'integer', default: 3, min: 1, env: 'ELVIS_FAILURE_THRESHOLD' },
+  'health.windowMs': { type: 'integer', default: 86400000, min: 0, env: 'ELVIS_HEALTH_WINDOW_MS' },
+  'health.fallbackChain': { type: 'list', default: ['llama3.2', 'phi3:mini', 'gemma:2b'], env: 'ELVIS_FALLBACK_CHAIN' },
+
+  'sessions.maxContextTokens': { type: 'integer', default: 8192, min: 512, env: 'ELVIS_SESSION_CONTEXT_TOKENS' },
+  'sessions.responseReserveTokens': { type: 'integer', default: 1024, min: 0, env: 'ELVIS_SESSION_RESPONSE_RESERVE' },
+
+  'memory.slots': { type: 'integer', default: 7, min: 1, max: 50, env: 'ELVIS_MEMORY_SLOTS' },
+  'memory.snapshotPath': { type: 'string', default: path.join(ELVIS_HOME, 'working-memory.json'), env: 'ELVIS_MEMORY_SNAPSHOT' },
+  'memory.embeddingModel': { type: 'string', default: 'nomic-embed-text', env: 'ELVIS_EMBEDDING_MODEL' },
+  'memory.injectionThreshold': { type: 'number', default: 0.5, min: 0, max: 1, env: 'ELVIS_MEMORY_INJECTION_THRESHOLD' },
+  // Keyword scores (share of query words matched) run lower than cosine similarity
+  'memory.keywordInjectionThreshold': { type: 'number', default: 0.3, min: 0, max: 1, env: 'ELVIS_MEMORY_KEYWORD_THRESHOLD' },
+  'memory.injectionTokenBudget': { type: 'integer', default: 512, min: 16, env: 'ELVIS_MEMORY_INJECTION_TOKENS' },
+  'memory.archivePath': { type: 'string', default: path.join(ELVIS_HOME, 'memory-archive.jsonl'), env: 'ELVIS_MEMORY_ARCHIVE' },
+
+  'screen.tempDir': { type: 'string', default: path.join(os.tmpdir(), 'elvis-screenshots'), env: 'ELVIS_SCREENSHOT_DIR' },
+  'screen.visionModel': { type: 'string', default: 'llava', env: 'ELVIS_VISION_MODEL' },
+  'screen.backend': { type: 'enum', values: ['auto', 'macos', 'x11', 'wayland', 'imagemagick'], default: 'auto', env: 'ELVIS_SCREEN_BACKEND' },
+  'screen.imageMaxBytes': { type: 'integer', default: 750000, min: 10000, env: 'ELVIS_IMAGE_MAX_BYTES' },
+  'screen.imageMaxWidth': { type: 'integer', default: 1920, min: 64, env: 'ELVIS_IMAGE_MAX_WIDTH' },
+  'screen.imageFormat': { type: 'enum', values: ['png', 'jpeg'], default: 'jpeg', env: 'ELVIS_IMAGE_FORMAT' },
+  'screen.imageQuality': { type: 'integer', default: 80, min: 1, max: 100, env: 'ELVIS_IMAGE_QUALITY' }
+};
+
+// Config files looked up in order when ELVIS_CONFIG is not set
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'].map(f => path.join(ELVIS_HOME, f));
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid ELVIS configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function getPath(object, dotted) {
+  return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  target[last] = value;
+}
+
+// Flatten a parsed file into dotted keys so unknown settings can be reported
+function flatten(object, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !SCHEMA[dotted]) {
+      flatten(value, dotted, out);
+    } else {
+      out[dotted] = value;
+    }
+  }
+  return out;
+}
+
+// Coerce and validate one value; returns [value, problem]
+function coerce(key, spec, raw, source) {
+  const where = `${key} (from ${source})`;
+
+  if (raw === null && spec.default === null) {
+    return [null, null];
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof raw !== 'string' || raw.trim() === '') {
+        return [null, `${where} must be a non-empty string`];
+      }
+      return [raw, null];
+
+    case 'integer': {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (!Number.isInteger(value)) {
+        return [null, `${where} must be an integer, got ${JSON.stringify(raw)}`];
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return [null, `${where} must be at least ${spec.min}, got ${value}`];
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return [null, `${where} must be at most ${spec.max}, got ${value}`];
+      }
+      return [value, null];
+    }
+
+    case 'number': {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (typeof raw === 'string' && raw.trim() === '')) {
+        return [null, `${where} must be a number, got ${JSON.stringify(raw)}`];
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return [null, `${where} must be at least ${spec.min}, got ${value}`];
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return [null, `${where} must be at most ${spec.max}, got ${value}`];
+      }
+      return [value, null];
+    }
+
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        return [null, `${where} must be one of ${spec.values.join(', ')}, got ${JSON.stringify(raw)}`];
+      }
+      return [raw, null];
+
+    case 'list': {
+      const value = typeof raw === 'string'
+        ? raw.split(',').map(s => s.trim()).filter(Boolean)
+        : raw;
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        return [null, `${where} must be a list of strings (comma-separated in the environment)`];
+      }
+      return [value, null];
+    }
+
+    // Preset name -> Ollama options (JSON in the environment); added to the built-in presets
+    case 'presets': {
+      let value = raw;
+      if (typeof raw === 'string') {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          return [null, `${where} must be a JSON object: ${error.message}`];
+        }
+      }
+      const problems = validatePresets(value, key);
+      if (problems.length > 0) {
+        return [null, `${where} is invalid: ${problems.join('; ')}`];
+      }
+      return [value, null];
+    }
+
+    default:
+      return [null, `${where} has unsupported type ${spec.type}`];
+  }
+}
+
+function readConfigFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`Cannot read config file ${filePath}: ${error.message}`]);
+  }
+
+  try {
+    const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+    if (parsed == null) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('top level must be an object');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError([`Cannot parse config file ${filePath}: ${error.message}`]);
+  }
+}
+
+// Defaults < config file < ELVIS_* environment variables
+// configPath: a file to read, null for none, or undefined to use $ELVIS_CONFIG or ~/.elvis/config.*
+function loadConfig({ configPath, env = process.env } = {}) {
+  const filePath = configPath !== undefined
+    ? configPath
+    : env.ELVIS_CONFIG || DEFAULT_CONFIG_FILES.find(f => fs.existsSync(f)) || null;
+  const fileValues = filePath ? flatten(readConfigFile(filePath)) : {};
+
+  const problems = [];
+  const config = {};
+  const sources = {};
+
+  for (const key of Object.keys(fileValues)) {
+    if (!SCHEMA[key]) {
+      problems.push(`Unknown setting "${key}" in ${filePath}`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let raw = spec.default;
+    let source = 'default';
+
+    if (fileValues[key] !== undefined) {
+      raw = fileValues[key];
+      source = filePath;
+    }
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+      raw = env[spec.env];
+      source = spec.env;
+    }
+
+    const [value, problem] = source === 'default'
+      ? [Array.isArray(raw) ? [...raw] : raw && typeof raw === 'object' ? { ...raw } : raw, null]
+      : coerce(key, spec, raw, source);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+
+    setPath(config, key, value);
+    sources[key] = source;
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  Object.defineProperty(config, 'meta', {
+    value: { filePath, sources },
+    enumerable: false
+  });
+  return config;
+}
+
+// Copy of the config with secret values replaced
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.secret && getPath(copy, key)) {
+      setPath(copy, key, '***redacted***');
+    }
+  }
+  return copy;
+}
+
+module.exports = { loadConfig, redactConfig, ConfigError, SCHEMA };
@@ -0,0 +1,73 @@
+// embeddings.js - Ollama embeddings and cosine similarity for memory retrieval
+
+// Cosine similarity of two vectors (0 when either is missing or the sizes differ)
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Memories with an embedding ranked by similarity to a query vector: [{ memory, score }] best first
+// (unrelated memories, with a score of 0 or less, are left out)
+function rankBySimilarity(memories, vector, limit = 10) {
+  return memories
+    .filter(m => m.embedding)
+    .map(memory => ({ memory, score: cosineSimilarity(memory.embedding, vector) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+class MemoryEmbedder {
+  // ollama: an OllamaManager; model: an embedding model such as nomic-embed-text
+  constructor(ollama, model, cacheSize = 200) {
+    this.ollama = ollama;
+    this.model = model;
+    this.cacheSize = cacheSize;
+    this.cache = new Map(); // text -> vector, oldest first
+    this.lastError = null;
+  }
+
+  // Vector for text; throws if Ollama or the model is unavailable
+  async embed(text) {
+    if (this.cache.has(text)) {
+      return this.cache.get(text);
+    }
+
+    try {
+      const vector = await this.ollama.embed(text, this.model);
+      this.lastError = null;
+      this.cache.set(text, vector);
+      if (this.cache.size > this.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      return vector;
+    } catch (error) {
+      // Log each distinct failure once instead of on every memory
+      if (!this.lastError || this.lastError.message !== error.message) {
+        console.error(`Embedding with ${this.model} failed: ${error.message}`);
+      }
+      this.lastError = error;
+      throw error;
+    }
+  }
+
+  // Like embed() but null on failure, for best-effort callers
+  async tryEmbed(text) {
+    try {
+      return await this.embed(text);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { MemoryEmbedder, cosineSimilarity, rankBySimilarity };
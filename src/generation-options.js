@@ -0,0 +1,113 @@
+// generation-options.js - Validate Ollama generation options and resolve named presets
+
+// Ollama model parameters accepted in a request's "options" (see the Modelfile docs)
+const OPTION_SPECS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 1 },
+  min_p: { type: 'number', min: 0, max: 1 },
+  typical_p: { type: 'number', min: 0, max: 1 },
+  repeat_penalty: { type: 'number', min: 0 },
+  repeat_last_n: { type: 'integer', min: -1 },
+  presence_penalty: { type: 'number' },
+  frequency_penalty: { type: 'number' },
+  mirostat: { type: 'integer', min: 0, max: 2 },
+  mirostat_tau: { type: 'number', min: 0 },
+  mirostat_eta: { type: 'number', min: 0 },
+  seed: { type: 'integer' },
+  num_predict: { type: 'integer', min: -2 },
+  num_ctx: { type: 'integer', min: 1 },
+  num_keep: { type: 'integer', min: -1 },
+  stop: { type: 'strings' }
+};
+
+// "format" is sent beside the options rather than inside them
+const FORMATS = ['json'];
+
+// Built-in presets; presets in config add to these or replace them by name
+const DEFAULT_PRESETS = {
+  deterministic: { temperature: 0, top_k: 1, seed: 42 },
+  creative: { temperature: 1.1, top_p: 0.95, repeat_penalty: 1.15 },
+  'long-context': { num_ctx: 32768 },
+  json: { format: 'json', temperature: 0 }
+};
+
+// Problems with one options object (empty when valid)
+function validateOptions(options, label = 'options') {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return [`${label} must be an object`];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(options)) {
+    if (key === 'format') {
+      if (!FORMATS.includes(value)) {
+        problems.push(`${label}.format must be one of ${FORMATS.join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      continue;
+    }
+
+    const spec = OPTION_SPECS[key];
+    if (!spec) {
+      problems.push(`${label}.${key} is not a supported option (supported: ${[...Object.keys(OPTION_SPECS), 'format'].join(', ')})`);
+      continue;
+    }
+
+    if (spec.type === 'strings') {
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v === '')) {
+        problems.push(`${label}.${key} must be a list of non-empty strings`);
+      }
+      continue;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+      problems.push(`${label}.${key} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+    } else if (spec.min !== undefined && value < spec.min) {
+      problems.push(`${label}.${key} must be at least ${spec.min}, got ${value}`);
+    } else if (spec.max !== undefined && value > spec.max) {
+      problems.push(`${label}.${key} must be at most ${spec.max}, got ${value}`);
+    }
+  }
+  return problems;
+}
+
+// Problems with a map of preset name -> options
+function validatePresets(presets, label = 'presets') {
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    return [`${label} must be an object mapping preset names to options`];
+  }
+  return Object.entries(presets).flatMap(([name, options]) => validateOptions(options, `${label}.${name}`));
+}
+
+// Merge a preset with explicit options (explicit wins); returns { modelOptions, format }
+// Throws on an unknown preset or invalid options
+function resolveOptions({ preset, options } = {}, presets = DEFAULT_PRESETS) {
+  if (preset && !presets[preset]) {
+    throw new Error(`Unknown preset "${preset}" (available: ${Object.keys(presets).join(', ')})`);
+  }
+
+  const problems = options !== undefined ? validateOptions(options) : [];
+  if (problems.length > 0) {
+    throw new Error(`Invalid generation options:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+
+  const { format = null, ...modelOptions } = { ...(preset ? presets[preset] : {}), ...(options || {}) };
+  return {
+    modelOptions: Object.keys(modelOptions).length > 0 ? modelOptions : null,
+    format
+  };
+}
+
+// "temperature=0, seed=42" for status and help output
+function describeOptions(options) {
+  return Object.entries(options).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ');
+}
+
+module.exports = {
+  OPTION_SPECS,
+  DEFAULT_PRESETS,
+  validateOptions,
+  validatePresets,
+  resolveOptions,
+  describeOptions
+};
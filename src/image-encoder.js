@@ -0,0 +1,124 @@
+// image-encoder.js - Downscale/recompress screenshots into base64 within a byte budget
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { hasCommand } = require('./screen-backends.js');
+
+const execFileAsync = promisify(execFile);
+
+const MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg' };
+
+let tmpCounter = 0; // keeps concurrent encodes from sharing a temp file
+
+// Size of base64 text for n raw bytes
+function base64Length(bytes) {
+  return Math.ceil(bytes / 3) * 4;
+}
+
+// Width/height from a PNG header (IHDR is always the first chunk)
+function readPngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+class ImageEncoder {
+  // options: { maxBytes, maxWidth, quality, format }
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || 750000;
+    this.maxWidth = options.maxWidth || 1920;
+    this.quality = options.quality || 80;
+    this.format = options.format || 'jpeg';
+    this.toolPromise = null;
+  }
+
+  // First of magick, convert or sips on PATH (null if none); detected once
+  detectTool() {
+    if (!this.toolPromise) {
+      this.toolPromise = (async () => {
+        for (const candidate of ['magick', 'convert', 'sips']) {
+          if (await hasCommand(candidate)) return candidate;
+        }
+        return null;
+      })();
+    }
+    return this.toolPromise;
+  }
+
+  async resize(inputPath, outputPath, width, format, quality) {
+    const tool = await this.detectTool();
+
+    // Argument arrays, not a shell string: paths and numbers reach the tool verbatim
+    if (tool === 'sips') {
+      const formatOptions = format === 'jpeg' ? ['-s', 'formatOptions', String(quality)] : [];
+      await execFileAsync('sips', ['-s', 'format', format, ...formatOptions, '--resampleWidth', String(width), inputPath, '--out', outputPath]);
+    } else {
+      const qualityOption = format === 'jpeg' ? ['-quality', String(quality)] : [];
+      await execFileAsync(tool, [inputPath, '-resize', `${width}x`, ...qualityOption, `${format}:${outputPath}`]);
+    }
+    return fs.readFile(outputPath);
+  }
+
+  // Returns { data, mimeType, bytes, width, originalWidth, quality, resized }
+  async encode(imagePath, options = {}) {
+    const maxBytes = options.maxBytes || this.maxBytes;
+    const maxWidth = options.maxWidth || this.maxWidth;
+    const format = options.format || this.format;
+    let quality = options.quality || this.quality;
+
+    const original = await fs.readFile(imagePath);
+    const size = readPngSize(original);
+    const originalWidth = size ? size.width : null;
+
+    // Untouched PNG when it already fits
+    if (format === 'png' && base64Length(original.length) <= maxBytes &&
+        (!originalWidth || originalWidth <= maxWidth)) {
+      return this.result(original, 'png', originalWidth, originalWidth, null, false);
+    }
+
+    if (!(await this.detectTool())) {
+      throw new Error(`Image is ${base64Length(original.length)} bytes as base64 (budget ${maxBytes}); install ImageMagick to enable downscaling`);
+    }
+
+    const tmpPath = path.join(os.tmpdir(), `elvis-encode-${process.pid}-${++tmpCounter}.${format === 'jpeg' ? 'jpg' : 'png'}`);
+    let width = Math.min(originalWidth || maxWidth, maxWidth);
+
+    try {
+      // Lower JPEG quality first (down to 40), then shrink by 25% per step
+      for (let attempt = 0; attempt < 10 && width >= 64; attempt++) {
+        const buffer = await this.resize(imagePath, tmpPath, width, format, quality);
+        if (base64Length(buffer.length) <= maxBytes) {
+          return this.result(buffer, format, width, originalWidth, format === 'jpeg' ? quality : null, true);
+        }
+
+        if (format === 'jpeg' && quality > 40) {
+          quality = Math.max(40, quality - 15);
+        } else {
+          width = Math.floor(width * 0.75);
+        }
+      }
+    } finally {
+      await fs.unlink(tmpPath).catch(() => {});
+    }
+
+    throw new Error(`Could not fit image within ${maxBytes} bytes; raise max_bytes or capture a smaller region`);
+  }
+
+  result(buffer, format, width, originalWidth, quality, resized) {
+    return {
+      data: buffer.toString('base64'),
+      mimeType: MIME_TYPES[format],
+      bytes: base64Length(buffer.length),
+      width,
+      originalWidth,
+      quality,
+      resized
+    };
+  }
+}
+
+module.exports = { ImageEncoder, readPngSize, base64Length };
@@ -4,6 +4,13 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
 const { exec } = require('child_process');
 const { promisify } = require('util');
@@ -13,8 +20,33 @@ const os = require('os');
 
 const execAsync = promisify(exec);
 
+// Load configuration (config file + ELVIS_* environment variables)
+const { loadConfig, redactConfig, ConfigError } = require('./config.js');
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error instanceof ConfigError ? error.message : `Failed to load configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // Import working memory
 const WorkingMemory = require('./working-memory.js');
+const { MEMORY_CATEGORIES } = WorkingMemory;
+const { MAX_CONTENT_LENGTH } = WorkingMemory;
+
+// Import working memory snapshots
+const { MemorySnapshot, PERSISTENCE_LEVELS } = require('./memory-snapshot.js');
+
+// Import long-term memory archive
+const { MemoryArchive, ARCHIVE_CATEGORIES, keywordSearch } = require('./memory-archive.js');
+
+// Import memory embeddings
+const { MemoryEmbedder, rankBySimilarity } = require('./embeddings.js');
+
+// Import memory injection for use_memory
+const { selectMemories, formatMemoryContext } = require('./memory-injection.js');
 
 // Import screen control
 const ScreenControl = require('./screen-control.js');
@@ -22,19 +54,64 @@ const ScreenControl = require('./screen-control.js');
 // Import Ollama manager with auto-start
 const OllamaManager = require('./ollama-manager.js');
 
-// Simple in-memory task tracking
-const tasks = new Map();
+// Import prompt templates
+const { listPrompts, getPrompt } = require('./prompts.js');
+
+// Import generation options and presets
+const { OPTION_SPECS, DEFAULT_PRESETS, resolveOptions, describeOptions } = require('./generation-options.js');
+
+// Import structured output validation
+const { compileSchema, checkReply, schemaPrompt, repairPrompt, SchemaMismatchError } = require('./structured-output.js');
+
+// Import chat sessions
+const { ChatSessions, sessionRetryError } = require('./chat-sessions.js');
+
+// Import task store
+const { FileTaskStore, IN_FLIGHT_STATUSES } = require('./task-store.js');
+
+// Task records persisted across restarts
+const tasks = new FileTaskStore(config.tasks.storePath);
+
+// Import task scheduler
+const TaskScheduler = require('./task-scheduler.js');
+
+// Bounded concurrency for Ollama calls
+const scheduler = new TaskScheduler({
+  globalLimit: config.tasks.maxConcurrent,
+  perModelLimit: config.tasks.maxPerModel
+});
+
+// Import model health tracking
+const ModelHealthTracker = require('./model-health.js');
 
-// Initialize working memory (7 slots)
-const workingMemory = new WorkingMemory(7);
+// Circuit breaker and fallback selection for delegated models
+const healthTracker = new ModelHealthTracker([], config.health);
+
+// Initialize working memory (7 slots by default)
+const workingMemory = new WorkingMemory(config.memory.slots);
+
+// Working memory written to disk on every change; persistent memories are restored at startup
+const memorySnapshot = new MemorySnapshot(config.memory.snapshotPath);
+
+// Decisions and insights that leave working memory (reloaded at startup)
+const memoryArchive = new MemoryArchive(config.memory.archivePath);
+
+// Named generation presets: built-ins plus tasks.presets from config
+const PRESETS = { ...DEFAULT_PRESETS, ...config.tasks.presets };
+
+// Multi-turn chat sessions (in memory; history is lost on restart)
+const chatSessions = new ChatSessions(config.sessions);
+
+// Initialize Ollama manager (lifecycle: auto, launchd, systemd, spawn, external)
+const ollamaManager = new OllamaManager(config.ollama);
+
+// Embeddings for memory search and relevance-aware eviction (best effort: memories work without them)
+const memoryEmbedder = new MemoryEmbedder(ollamaManager, config.memory.embeddingModel);
 
 // Initialize screen control
-const screenControl = new ScreenControl();
+const screenControl = new ScreenControl({ ...config.screen, ollama: ollamaManager });
 screenControl.init().catch(console.error);
 
-// Initialize Ollama manager
-const ollamaManager = new OllamaManager();
-
 const server = new Server(
   {
     name: 'mcp-elvis-simple',
@@ -42,7 +119,9 @@ const server = new Server(
   },
   {
     capabilities: {
-      tools: {},
+      tools: { listChanged: true },
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
     },
   }
 );
@@ -52,14 +131,756 @@ function generateTaskId() {
   return `task_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 }
 
-// Helper to call Ollama (now with auto-start capability)
-async function callOllama(prompt, model = 'llama3.2', images = []) {
-  const result = await ollamaManager.callOllama(prompt, model, images);
-  return result.response;
+// Generation models currently installed in Ollama (refreshed from /api/tags)
+let installedModels = [];
+
+// How often to re-check the installed model list
+const MODEL_REFRESH_INTERVAL_MS = config.tasks.modelRefreshIntervalMs;
+
+// Model used when elvis_delegate gets no model argument
+const DEFAULT_MODEL = config.tasks.defaultModel;
+
+// Installed models that can answer prompts: embedding-only models (the configured
+// embedding model, bert families) are kept out of "auto", the health table and the enums
+function generationModels(models) {
+  const embeddingOnly = new Set([
+    ...ollamaManager.getEmbeddingModels(),
+    config.memory.embeddingModel.replace(/:latest$/, '')
+  ]);
+  return models.filter(m => !embeddingOnly.has(m));
+}
+
+// Re-read installed models; sync the health table and tell clients when the set changes
+async function refreshModels({ refresh = false, notify = true } = {}) {
+  const models = generationModels(await ollamaManager.listModels({ refresh }));
+  if (models.join('\n') === installedModels.join('\n')) {
+    return false;
+  }
+  
+  installedModels = models;
+  healthTracker.syncModels(models);
+  console.error(`Installed Ollama models: ${models.join(', ') || 'none'}`);
+  
+  if (notify) {
+    server.sendToolListChanged()
+      .catch(error => console.error(`Failed to send tools/list_changed: ${error.message}`));
+  }
+  return true;
+}
+
+// Match a requested model against the installed list (":latest" is implied)
+function findInstalledModel(name) {
+  if (installedModels.length === 0 || name === 'auto') {
+    return name; // Unknown list: let Ollama decide
+  }
+  const bare = name.replace(/:latest$/, '');
+  return installedModels.includes(bare) ? bare : null;
+}
+
+// Tool schema for a model argument, built from the installed models
+function modelProperty(description) {
+  const property = { type: 'string', description };
+  if (installedModels.length > 0) {
+    property.enum = ['auto', ...installedModels];
+  }
+  return property;
+}
+
+// Open elvis_wait / elvis_session_send calls whose caller passed a progress token:
+// { progressToken, taskIds }. MCP only allows progress on a request that is still
+// open, so background tasks report through resource updates instead
+const progressListeners = new Set();
+
+// Minimum gap between progress notifications for one task
+const PROGRESS_INTERVAL_MS = 500;
+
+// elvis_wait timeout when none is given, and the longest allowed
+const WAIT_TIMEOUT_MS = 30000;
+const MAX_WAIT_MS = 600000;
+
+// Pending elvis_wait calls; each is re-checked whenever a task finishes
+const taskWaiters = new Set();
+
+// Build the prompt for a delegated task
+function buildPrompt(task, context, memoryContext = '') {
+  const prompt = context
+    ? `Context: ${context}\n\nTask: ${task}\n\nPlease provide a comprehensive response:`
+    : `Task: ${task}\n\nPlease provide a comprehensive response:`;
+  return memoryContext ? `${memoryContext}\n\n${prompt}` : prompt;
+}
+
+// Statuses that elvis_retry accepts
+const RETRYABLE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+
+function sendProgress(progressToken, params) {
+  server.notification({
+    method: 'notifications/progress',
+    params: { progressToken, ...params }
+  }).catch(error => console.error(`Failed to send progress: ${error.message}`));
+}
+
+// Tokens generated so far, to callers waiting on this one task
+function notifyProgress(taskId, message) {
+  const task = tasks.get(taskId);
+  if (!task) return;
+  
+  for (const listener of progressListeners) {
+    if (listener.taskIds.length === 1 && listener.taskIds[0] === taskId) {
+      sendProgress(listener.progressToken, { progress: task.tokens_generated || 0, message });
+    }
+  }
+}
+
+// Finished-of-total, to callers waiting on several tasks including this one
+function notifyWaitProgress(taskId) {
+  for (const listener of progressListeners) {
+    if (listener.taskIds.length > 1 && listener.taskIds.includes(taskId)) {
+      const total = listener.taskIds.length;
+      const finished = listener.taskIds.filter(id => !IN_FLIGHT_STATUSES.includes(tasks.get(id).status)).length;
+      sendProgress(listener.progressToken, { progress: finished, total, message: `${finished}/${total} tasks finished` });
+    }
+  }
+}
+
+// Progress token from a request's _meta (undefined if the client did not ask for progress)
+function progressTokenOf(request) {
+  const meta = request.params._meta;
+  return meta ? meta.progressToken : undefined;
+}
+
+// Resource URIs clients asked to be notified about (resources/subscribe)
+const resourceSubscriptions = new Set();
+
+const MEMORY_URI = 'elvis://memory';
+
+function taskUri(taskId) {
+  return `elvis://task/${taskId}`;
+}
+
+function screenshotUri(name) {
+  return `elvis://screenshot/${encodeURIComponent(name)}`;
+}
+
+// Send notifications/resources/updated if a client subscribed to the URI
+function notifyResourceUpdated(uri) {
+  if (!resourceSubscriptions.has(uri)) return;
+  server.sendResourceUpdated({ uri })
+    .catch(error => console.error(`Failed to send resource update for ${uri}: ${error.message}`));
+}
+
+// Tasks or screenshots were added or removed
+function notifyResourceListChanged() {
+  server.sendResourceListChanged()
+    .catch(error => console.error(`Failed to send resources/list_changed: ${error.message}`));
+}
+
+workingMemory.on('change', () => notifyResourceUpdated(MEMORY_URI));
+workingMemory.on('add', memory => embedMemory(memory));
+workingMemory.on('update', memory => {
+  if (needsEmbedding(memory)) embedMemory(memory);
+});
+workingMemory.on('evict', (memory, reason) => {
+  if (ARCHIVE_CATEGORIES.includes(memory.metaTags.category)) {
+    memoryArchive.archive(memory, reason);
+  }
+});
+
+// True if a memory has no embedding from the configured embedding model
+function needsEmbedding(memory) {
+  return !memory.embedding || memory.embeddingModel !== memoryEmbedder.model;
+}
+
+// Embed a working memory in the background
+function embedMemory(memory) {
+  return memoryEmbedder.tryEmbed(memory.content).then(vector => {
+    if (vector) workingMemory.setEmbedding(memory.id, vector, memoryEmbedder.model);
+  });
+}
+
+// Archived memories ranked against a query (vector is null when embeddings are unavailable)
+// Archived memories are embedded on first search; any that still have no embedding
+// from the current model are matched by keyword so they never drop out of results
+async function rankArchived(query, vector, { category = null, limit = 10 } = {}) {
+  const memories = memoryArchive.list(category);
+  if (!vector) return keywordSearch(memories, query, { limit });
+  
+  // One at a time so a large archive does not flood Ollama with requests
+  for (const memory of memories.filter(needsEmbedding)) {
+    const embedding = await memoryEmbedder.tryEmbed(memory.content);
+    if (!embedding) break;
+    memoryArchive.setEmbedding(memory.id, embedding, memoryEmbedder.model);
+  }
+  
+  const unembedded = memories.filter(needsEmbedding);
+  return [
+    ...rankBySimilarity(memories.filter(m => !needsEmbedding(m)), vector, limit),
+    ...keywordSearch(unembedded, query, { limit })
+  ].slice(0, limit);
+}
+
+// Working memories ranked by relevance to text: [{ memory, score }] best first, plus the method used
+async function rankMemories(text, { category = null, limit = workingMemory.maxSlots } = {}) {
+  const slots = workingMemory.slots.filter(m => !category || m.metaTags.category === category);
+  // Keep this call's own error: lastError is shared and a concurrent embed may clear it
+  let vector;
+  try {
+    vector = await memoryEmbedder.embed(text);
+  } catch (error) {
+    return {
+      vector: null,
+      ranked: keywordSearch(slots, text, { limit }),
+      method: `keyword (embeddings unavailable: ${error.message})`
+    };
+  }
+  
+  // Memories added while embeddings were unavailable get one now
+  await Promise.all(workingMemory.slots.filter(needsEmbedding).map(embedMemory));
+  return { vector, ranked: rankBySimilarity(slots, vector, limit), method: `semantic (${memoryEmbedder.model})` };
+}
+
+// Task record fields for use_memory: the memory block for the prompt and which memories went into it
+async function injectMemories(task, context) {
+  const { vector, ranked } = await rankMemories(`${task}\n${context}`.trim());
+  const memoryMethod = vector ? 'semantic' : 'keyword';
+  const { selected, skipped } = selectMemories(ranked, {
+    threshold: injectionThreshold(memoryMethod),
+    tokenBudget: config.memory.injectionTokenBudget
+  });
+  
+  selected.forEach(s => workingMemory.access(s.memory.id));
+  return {
+    memoryContext: formatMemoryContext(selected),
+    injectedMemories: selected.map(s => ({ id: s.memory.id, score: Number(s.score.toFixed(3)) })),
+    memoriesOverBudget: skipped,
+    memoryMethod
+  };
+}
+
+// Cosine and keyword scores live on different scales, so each has its own threshold
+function injectionThreshold(method) {
+  return method === 'keyword' ? config.memory.keywordInjectionThreshold : config.memory.injectionThreshold;
+}
+
+// "Memories: ..." line for tasks delegated with use_memory (empty otherwise)
+function describeInjection(record) {
+  if (!record.injectedMemories) return '';
+  const method = record.memoryMethod;
+  if (record.injectedMemories.length === 0) {
+    return `Memories: none above ${method ? `${method} ` : ''}relevance ${injectionThreshold(method)}\n`;
+  }
+  const overBudget = record.memoriesOverBudget ? `, ${record.memoriesOverBudget} more over the token budget` : '';
+  return `Memories${method ? ` (${method})` : ''}: ${record.injectedMemories.map(m => `${m.id} (${Math.round(m.score * 100)}%)`).join(', ')}${overBudget}\n`;
+}
+
+// Embeddings of in-flight tasks; memories similar to them score higher when choosing what to evict
+const taskEmbeddings = new Map();
+
+function trackTaskRelevance(taskRecord) {
+  memoryEmbedder.tryEmbed(`${taskRecord.task}\n${taskRecord.context || ''}`.trim()).then(vector => {
+    if (vector && IN_FLIGHT_STATUSES.includes(taskRecord.status)) {
+      taskEmbeddings.set(taskRecord.id, vector);
+      workingMemory.setRelevanceContext([...taskEmbeddings.values()]);
+    }
+  });
+}
+
+function untrackTaskRelevance(taskId) {
+  if (taskEmbeddings.delete(taskId)) {
+    workingMemory.setRelevanceContext([...taskEmbeddings.values()]);
+  }
+}
+
+// Run a task record through Ollama (called by the scheduler)
+// Generate until the reply matches taskRecord.responseSchema, re-prompting with the
+// validation errors up to tasks.schemaRetries times; the parsed reply is stored as taskRecord.parsed
+async function generateStructured(taskRecord, prompt, { signal, onChunk }) {
+  const validate = compileSchema(taskRecord.responseSchema);
+  const firstPrompt = schemaPrompt(prompt, taskRecord.responseSchema);
+  let attemptPrompt = firstPrompt;
+  let errors = [];
+  
+  for (let attempt = 1; attempt <= config.tasks.schemaRetries + 1; attempt++) {
+    taskRecord.partial_result = '';
+    const result = await ollamaManager.callOllama(attemptPrompt, taskRecord.model, [], {
+      signal,
+      onChunk,
+      modelOptions: taskRecord.modelOptions,
+      format: taskRecord.format
+    });
+    
+    const checked = checkReply(result.response, validate);
+    errors = checked.errors;
+    tasks.update(taskRecord.id, { schema_attempts: attempt, validation_errors: errors.length > 0 ? errors : null });
+    if (errors.length === 0) {
+      tasks.update(taskRecord.id, { parsed: checked.value });
+      return result;
+    }
+    
+    notifyProgress(taskRecord.id, `Reply did not match the schema (attempt ${attempt}), re-prompting`);
+    attemptPrompt = repairPrompt(firstPrompt, result.response, errors);
+    tasks.update(taskRecord.id, { result: result.response });
+  }
+  
+  throw new SchemaMismatchError(errors, config.tasks.schemaRetries + 1);
+}
+
+async function processTask(taskId, signal) {
+  const taskRecord = tasks.get(taskId);
+  const session = taskRecord.sessionId ? chatSessions.get(taskRecord.sessionId) : null;
+  let lastProgress = 0;
+  
+  try {
+    if (taskRecord.sessionId && !session) {
+      tasks.update(taskId, {
+        status: 'failed',
+        error: `Session ${taskRecord.sessionId} was closed`,
+        completed: new Date().toISOString()
+      });
+      return;
+    }
+    
+    tasks.update(taskId, {
+      status: 'processing',
+      started: new Date().toISOString(),
+      partial_result: '',
+      tokens_generated: 0
+    });
+    notifyProgress(taskId, `Processing with ${taskRecord.model}`);
+    
+    // Partial output lives on the record but is only persisted with the next transition
+    const onChunk = (text) => {
+      taskRecord.partial_result += text;
+      taskRecord.tokens_generated++;
+      
+      if (Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+        lastProgress = Date.now();
+        notifyProgress(taskId, `${taskRecord.tokens_generated} tokens generated`);
+      }
+    };
+    
+    let result;
+    if (session) {
+      // Chat turn: prior history trimmed to the session's context window
+      const { messages, dropped } = chatSessions.buildMessages(session, taskRecord.task);
+      session.trimmedTurns = dropped;
+      taskRecord.history_turns_sent = session.turns.length - dropped;
+      result = await ollamaManager.callChat(messages, taskRecord.model, {
+        signal,
+        onChunk,
+        modelOptions: { num_ctx: session.contextTokens }
+      });
+      chatSessions.addTurn(session, taskRecord.task, result.response, result.stats);
+    } else if (taskRecord.responseSchema) {
+      const { task, context } = renderDependencies(taskRecord);
+      result = await generateStructured(taskRecord, buildPrompt(task, context, taskRecord.memoryContext), { signal, onChunk });
+    } else {
+      const { task, context } = renderDependencies(taskRecord);
+      result = await ollamaManager.callOllama(
+        buildPrompt(task, context, taskRecord.memoryContext),
+        taskRecord.model,
+        [],
+        { signal, onChunk, modelOptions: taskRecord.modelOptions, format: taskRecord.format }
+      );
+    }
+    
+    const completed = new Date().toISOString();
+    tasks.update(taskId, {
+      status: 'completed',
+      completed,
+      result: result.response,
+      partial_result: null,
+      tokens_generated: result.stats.eval_count || taskRecord.tokens_generated,
+      prompt_tokens: result.stats.prompt_eval_count,
+      duration_ms: new Date(completed) - new Date(taskRecord.started)
+    });
+    scheduler.recordDuration(taskRecord.model, taskRecord.duration_ms);
+    healthTracker.recordSuccess(taskRecord.model);
+    notifyProgress(taskId, `Completed: ${taskRecord.tokens_generated} tokens`);
+    
+  } catch (error) {
+    if (signal && signal.aborted) {
+      tasks.update(taskId, {
+        status: 'cancelled',
+        error: 'Cancelled by elvis_cancel',
+        completed: new Date().toISOString()
+      });
+      return;
+    }
+    
+    healthTracker.recordError(taskRecord.model, error);
+    tasks.update(taskId, {
+      status: 'failed',
+      error: error.message,
+      completed: new Date().toISOString()
+    });
+  } finally {
+    onTaskFinished(taskRecord);
+  }
+}
+
+// Resolve once any/all of the tasks have finished, the timeout expires or the signal aborts
+// Resolves with true if the condition was met; progress goes to progressToken while waiting
+function waitForTasks(taskIds, mode, timeoutMs, signal, progressToken) {
+  const finished = () => {
+    const done = taskIds.filter(id => !IN_FLIGHT_STATUSES.includes(tasks.get(id).status));
+    return mode === 'any' ? done.length > 0 : done.length === taskIds.length;
+  };
+  if (finished()) return Promise.resolve(true);
+  
+  return new Promise(resolve => {
+    const waiter = { check: () => finished() && settle(true) };
+    const listener = progressToken !== undefined ? { progressToken, taskIds } : null;
+    const timer = setTimeout(() => settle(false), timeoutMs);
+    const onAbort = () => settle(false);
+    
+    function settle(met) {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      taskWaiters.delete(waiter);
+      if (listener) progressListeners.delete(listener);
+      resolve(met);
+    }
+    
+    if (signal) signal.addEventListener('abort', onAbort);
+    taskWaiters.add(waiter);
+    if (listener) progressListeners.add(listener);
+  });
+}
+
+// Follow-up once a task reaches a final status (completed, failed or cancelled)
+function onTaskFinished(taskRecord) {
+  notifyResourceUpdated(taskUri(taskRecord.id));
+  untrackTaskRelevance(taskRecord.id);
+  notifyWaitProgress(taskRecord.id);
+  if (taskRecord.comparisonId) onComparisonTaskFinished(taskRecord);
+  releaseDependents();
+  for (const waiter of Array.from(taskWaiters)) {
+    waiter.check();
+  }
+}
+
+// Queue a task record for processing
+function scheduleTask(taskRecord) {
+  scheduler.enqueue(taskRecord.id, taskRecord.model, taskRecord.priority,
+    (signal) => processTask(taskRecord.id, signal));
+}
+
+// Queue priority from a tool argument: numbers (or numeric strings) rounded and clamped
+// to 1-7; anything else gets the default instead of reaching the queue as NaN
+function normalizePriority(priority, fallback = 5) {
+  const value = typeof priority === 'number' ? priority : parseFloat(priority);
+  return Number.isFinite(value) ? Math.min(Math.max(Math.round(value), 1), 7) : fallback;
+}
+
+// Create, persist and queue a new task; extra fields (batchId, ...) are stored on the record
+function delegateTask({ task, model, context = '', priority = 5, ...extra }) {
+  const taskId = generateTaskId();
+  const selection = healthTracker.resolveModel(model);
+  const taskRecord = {
+    id: taskId,
+    task,
+    model: selection.model,
+    requestedModel: selection.requested,
+    context,
+    priority: normalizePriority(priority),
+    status: 'pending',
+    created: new Date().toISOString(),
+    result: null,
+    error: null,
+    ...extra
+  };
+  
+  // Tasks with unfinished dependencies wait until releaseDependents() queues them
+  if (taskRecord.dependsOn && dependencyState(taskRecord).state === 'waiting') {
+    taskRecord.status = 'waiting';
+  }
+  
+  tasks.create(taskRecord);
+  notifyResourceListChanged();
+  trackTaskRelevance(taskRecord);
+  if (taskRecord.status === 'pending') scheduleTask(taskRecord);
+  return { taskRecord, selection };
+}
+
+// Most recent attempt of a task, following elvis_retry links
+function latestAttempt(taskId) {
+  let task = tasks.get(taskId);
+  while (task && task.retriedBy && tasks.has(task.retriedBy)) {
+    task = tasks.get(task.retriedBy);
+  }
+  return task;
+}
+
+// "ready" once every dependency completed, "failed" as soon as one cannot complete
+function dependencyState(taskRecord) {
+  let state = 'ready';
+  for (const id of taskRecord.dependsOn || []) {
+    const upstream = latestAttempt(id);
+    if (!upstream || RETRYABLE_STATUSES.includes(upstream.status)) {
+      return { state: 'failed', dependency: upstream || { id, status: 'missing', error: 'task not found' } };
+    }
+    if (upstream.status !== 'completed') {
+      state = 'waiting';
+    }
+  }
+  return { state };
+}
+
+// Matches {{task_id}} and {{task_id.result}}
+const DEPENDENCY_REFERENCE = /\{\{\s*(task_[A-Za-z0-9_]+?)(?:\.result)?\s*\}\}/g;
+
+// Task text and context with upstream results filled in; results are appended
+// to the context when neither references a dependency
+function renderDependencies(taskRecord) {
+  const dependsOn = taskRecord.dependsOn || [];
+  if (dependsOn.length === 0) {
+    return { task: taskRecord.task, context: taskRecord.context };
+  }
+  
+  let referenced = false;
+  const render = (text) => (text || '').replace(DEPENDENCY_REFERENCE, (match, id) => {
+    if (!dependsOn.includes(id)) return match;
+    referenced = true;
+    return latestAttempt(id).result;
+  });
+  
+  const task = render(taskRecord.task);
+  let context = render(taskRecord.context);
+  if (!referenced) {
+    const upstream = dependsOn.map(id => `Result of "${latestAttempt(id).task.substring(0, 80)}":\n${latestAttempt(id).result}`);
+    context = [context, ...upstream].filter(Boolean).join('\n\n');
+  }
+  return { task, context };
+}
+
+// Queue waiting tasks whose dependencies completed; fail those whose dependencies failed
+function releaseDependents() {
+  for (const task of Array.from(tasks.values())) {
+    if (task.status !== 'waiting') continue;
+    
+    const { state, dependency } = dependencyState(task);
+    if (state === 'ready') {
+      tasks.update(task.id, { status: 'pending' });
+      scheduleTask(task);
+      notifyResourceUpdated(taskUri(task.id));
+    } else if (state === 'failed') {
+      tasks.update(task.id, {
+        status: 'failed',
+        error: `Dependency ${dependency.id} ${dependency.status}${dependency.error ? `: ${dependency.error}` : ''}`,
+        completed: new Date().toISOString()
+      });
+      onTaskFinished(task); // Fails the rest of the chain
+    }
+  }
+}
+
+// Helper to generate batch ID
+function generateBatchId() {
+  return `batch_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+}
+
+// Latest attempt of each batch item (retries replace the failed attempt), in submission order
+function getBatchItems(batchId) {
+  return Array.from(tasks.values())
+    .filter(task => task.batchId === batchId && !task.retryOf)
+    .sort((a, b) => a.batchIndex - b.batchIndex)
+    .map(task => latestAttempt(task.id));
+}
+
+// Helper to generate comparison ID
+function generateComparisonId() {
+  return `cmp_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+}
+
+// Candidate answers (in model order) and the judge task, if any, of a comparison
+// (latest attempts, following elvis_retry links like getBatchItems)
+function getComparison(comparisonId) {
+  const members = Array.from(tasks.values()).filter(t => t.comparisonId === comparisonId && !t.retryOf);
+  const judge = members.find(t => t.comparisonRole === 'judge');
+  return {
+    candidates: members.filter(t => t.comparisonRole === 'candidate')
+      .sort((a, b) => a.comparisonIndex - b.comparisonIndex)
+      .map(t => latestAttempt(t.id)),
+    judge: judge ? latestAttempt(judge.id) : null
+  };
+}
+
+// Answers are labelled A, B, C... so the judge does not see model names
+function comparisonLabel(index) {
+  return String.fromCharCode(65 + index);
+}
+
+// Prompt asking the judge to rank (or merge) the candidate answers
+function buildJudgeTask(question, candidates, mode) {
+  const answers = candidates.map((c, i) => `## Answer ${comparisonLabel(i)}\n${c.result}`).join('\n\n');
+  const instruction = mode === 'merge'
+    ? 'Then write a single consensus answer that combines the correct parts of all answers and drops anything wrong.'
+    : 'Then explain briefly, for each answer, its strengths and its mistakes.';
+  return `Several assistants answered the same question. Judge their answers for correctness, completeness and clarity.\n\n# Question\n${question}\n\n${answers}\n\nStart your reply with one line of the form "RANKING: B, A, C" listing the answer letters from best to worst. ${instruction}`;
+}
+
+// Models in the judge's RANKING line, best first
+function parseRanking(text, judged) {
+  const match = (text || '').match(/RANKING:\s*([^\n]+)/i);
+  if (!match) return [];
+  const models = [];
+  for (const label of match[1].toUpperCase().match(/\b[A-Z]\b/g) || []) {
+    const candidate = judged[label.charCodeAt(0) - 65];
+    if (candidate && !models.includes(candidate.model)) models.push(candidate.model);
+  }
+  return models;
+}
+
+// Start the judge once every candidate has finished; record its ranking when it completes
+function onComparisonTaskFinished(taskRecord) {
+  const { candidates, judge } = getComparison(taskRecord.comparisonId);
+  
+  if (taskRecord.comparisonRole === 'judge') {
+    if (taskRecord.status === 'completed') {
+      const ranking = parseRanking(taskRecord.result, taskRecord.judgedTasks.map(id => tasks.get(id)));
+      tasks.update(taskRecord.id, { ranking });
+      if (ranking.length > 0) healthTracker.recordComparison(ranking);
+    }
+    return;
+  }
+  
+  const first = candidates[0];
+  if (judge || !first.judgeModel || candidates.some(c => IN_FLIGHT_STATUSES.includes(c.status))) return;
+  
+  const answered = candidates.filter(c => c.status === 'completed');
+  if (answered.length < 2) return; // Nothing to compare
+  
+  delegateTask({
+    task: buildJudgeTask(first.task, answered, first.judgeMode),
+    model: first.judgeModel,
+    priority: first.priority,
+    comparisonId: first.comparisonId,
+    comparisonRole: 'judge',
+    judgedTasks: answered.map(c => c.id)
+  });
+}
+
+// Describe a model selection made by the health tracker
+function describeSelection(selection) {
+  if (selection.fallback) {
+    return `${selection.model} (fallback: ${selection.reason})`;
+  }
+  if (selection.requested === 'auto') {
+    return `${selection.model} (auto-selected)`;
+  }
+  return selection.model;
+}
+
+// Task record fields for resolved generation options (only the ones that are set)
+function generationFields(preset, { modelOptions, format }) {
+  return {
+    ...(preset ? { preset } : {}),
+    ...(modelOptions ? { modelOptions } : {}),
+    ...(format ? { format } : {})
+  };
+}
+
+// "Options: ..." line for tasks with generation options (empty otherwise)
+function describeGeneration(record) {
+  const format = typeof record.format === 'string' ? record.format : null; // schemas are reported separately
+  const options = { ...(record.modelOptions || {}), ...(format ? { format } : {}) };
+  if (Object.keys(options).length === 0) return '';
+  return `Options: ${describeOptions(options)}${record.preset ? ` (preset: ${record.preset})` : ''}\n`;
+}
+
+// Notice for content cut to MAX_CONTENT_LENGTH ('' when it fit)
+function truncationNotice(memory) {
+  return memory.metadata.originalLength
+    ? `\n\n⚠️ Content truncated from ${memory.metadata.originalLength} to ${MAX_CONTENT_LENGTH} characters. Store the essentials or split it into several memories.`
+    : '';
+}
+
+// Archived memory entry for recall/search output
+function formatArchived(memory) {
+  return `[${memory.metaTags.category}] ${memory.content}\n   ID: ${memory.id}, archived ${memory.archive.at} (${memory.archive.reason})`;
+}
+
+// One-line description of a display record (or "all")
+function describeDisplay(display) {
+  if (!display || display === 'all') return 'all displays';
+  const size = display.width ? `${display.width}x${display.height}` : 'unknown size';
+  const position = display.x !== null && display.x !== undefined ? ` at (${display.x},${display.y})` : '';
+  return `${display.name}${display.primary ? ' (primary)' : ''}: ${size}${position}, scale ${display.scale || 1}x`;
+}
+
+// Format milliseconds for status output
+function formatWait(ms) {
+  if (ms === null) return 'unknown (no completed tasks yet)';
+  return ms < 60000 ? `~${Math.ceil(ms / 1000)}s` : `~${(ms / 60000).toFixed(1)} min`;
+}
+
+// Problems with elvis_capture_region coordinates (empty when valid)
+function regionProblems({ x, y, width, height }) {
+  const problems = [];
+  for (const [key, value] of Object.entries({ x, y })) {
+    if (!(Number.isInteger(value) && value >= 0)) {
+      problems.push(`${key} must be a non-negative integer, got ${JSON.stringify(value)}`);
+    }
+  }
+  for (const [key, value] of Object.entries({ width, height })) {
+    if (!(Number.isInteger(value) && value > 0)) {
+      problems.push(`${key} must be a positive integer, got ${JSON.stringify(value)}`);
+    }
+  }
+  return problems;
+}
+
+// Problems with the return_image encoding arguments (empty when valid)
+function imageOptionProblems(args) {
+  const problems = [];
+  const { quality, max_width, max_bytes, image_format } = args;
+  if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    problems.push(`quality must be an integer from 1 to 100, got ${JSON.stringify(quality)}`);
+  }
+  if (max_width !== undefined && !(Number.isInteger(max_width) && max_width >= 64)) {
+    problems.push(`max_width must be an integer of at least 64, got ${JSON.stringify(max_width)}`);
+  }
+  if (max_bytes !== undefined && !(Number.isInteger(max_bytes) && max_bytes > 0)) {
+    problems.push(`max_bytes must be a positive integer, got ${JSON.stringify(max_bytes)}`);
+  }
+  if (image_format !== undefined && !['png', 'jpeg'].includes(image_format)) {
+    problems.push(`image_format must be png or jpeg, got ${JSON.stringify(image_format)}`);
+  }
+  return problems;
+}
+
+// Tool result with the capture(s) attached as image content after the text
+async function imageResult(text, paths, args) {
+  try {
+    const images = await screenControl.encodeImages(paths, {
+      format: args.image_format,
+      maxBytes: args.max_bytes,
+      maxWidth: args.max_width,
+      quality: args.quality
+    });
+    const notes = images.map(image => image.resized
+      ? `Image: ${image.mimeType}, ${image.width}px wide${image.originalWidth ? ` (from ${image.originalWidth}px)` : ''}${image.quality ? `, quality ${image.quality}` : ''}, ${(image.bytes / 1024).toFixed(1)} KB`
+      : `Image: ${image.mimeType}, original size, ${(image.bytes / 1024).toFixed(1)} KB`);
+    return {
+      content: [
+        { type: 'text', text: `${text}\n${notes.join('\n')}` },
+        ...images.map(image => ({ type: 'image', data: image.data, mimeType: image.mimeType }))
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `${text}\n\n⚠️ Could not attach image: ${error.message}`
+      }]
+    };
+  }
 }
 
 // Tool handlers
 server.setRequestHandler(ListToolsRequestSchema, async () => {
+  await refreshModels({ notify: false });
+  
   return {
     tools: [
       {
@@ -72,50 +893,312 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'The task or question to delegate',
             },
-            model: {
-              type: 'string',
-              description: 'Ollama model to use (default: llama3.2)',
-              enum: ['llama3.2', 'deepseek-r1', 'mixtral', 'gemma:2b', 'phi3:mini']
-            },
+            model: modelProperty(`Ollama model to use (default: ${DEFAULT_MODEL}, "auto" picks the healthiest model)`),
             context: {
               type: 'string',
               description: 'Additional context for the task'
+            },
+            priority: {
+              type: 'number',
+              description: 'Queue priority 1-7 (higher runs first, default: 5)'
+            },
+            depends_on: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Task IDs that must complete first. Reference their results in task or context as {{task_id}}; unreferenced results are appended to the context'
+            },
+            preset: {
+              type: 'string',
+              enum: Object.keys(PRESETS),
+              description: 'Named set of generation options (see elvis_help presets)'
+            },
+            options: {
+              type: 'object',
+              description: 'Ollama generation options, e.g. { "temperature": 0.2, "num_ctx": 8192, "seed": 1, "stop": ["###"], "format": "json" }; override the preset'
+            },
+            use_memory: {
+              type: 'boolean',
+              description: 'Prepend the working memories most relevant to this task to the prompt (default: false)'
+            },
+            response_schema: {
+              type: 'object',
+              description: 'JSON Schema the reply must match. The model is asked for JSON, invalid replies are re-prompted with the errors, and elvis_result returns the parsed object as structured content'
             }
           },
           required: ['task'],
         },
       },
       {
-        name: 'elvis_status',
-        description: 'Check the status of a delegated task',
+        name: 'elvis_delegate_batch',
+        description: 'Delegate several tasks at once with shared model and context; returns a batch ID',
         inputSchema: {
           type: 'object',
           properties: {
-            task_id: {
+            tasks: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1,
+              description: 'The tasks or questions to delegate, one task per item'
+            },
+            model: modelProperty(`Ollama model for every task (default: ${DEFAULT_MODEL}, "auto" picks the healthiest model)`),
+            context: {
               type: 'string',
-              description: 'The task ID to check',
+              description: 'Context shared by every task'
             },
+            priority: {
+              type: 'number',
+              description: 'Queue priority 1-7 for every task (default: 5)'
+            }
           },
-          required: ['task_id'],
+          required: ['tasks'],
         },
       },
       {
-        name: 'elvis_result',
-        description: 'Get the result of a completed task',
+        name: 'elvis_batch_result',
+        description: 'Per-item status of a batch, and all results together once it has finished',
         inputSchema: {
           type: 'object',
           properties: {
-            task_id: {
+            batch_id: {
               type: 'string',
-              description: 'The task ID to retrieve results for',
+              description: 'The batch ID returned by elvis_delegate_batch',
             },
+            partial: {
+              type: 'boolean',
+              description: 'Return the results completed so far even if the batch is still running (default: false)'
+            }
           },
-          required: ['task_id'],
+          required: ['batch_id'],
         },
       },
       {
-        name: 'elvis_list',
-        description: 'List all tasks and their statuses',
+        name: 'elvis_compare',
+        description: 'Ask several models the same task, optionally with a judge model ranking or merging the answers',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task: {
+              type: 'string',
+              description: 'The task or question every model answers',
+            },
+            models: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 2,
+              description: `Models to compare${installedModels.length > 0 ? ` (installed: ${installedModels.join(', ')})` : ''}`
+            },
+            context: {
+              type: 'string',
+              description: 'Context shared by every model'
+            },
+            judge_model: {
+              type: 'string',
+              description: 'Model that judges the answers once they are all in (default: no judge)'
+            },
+            judge_mode: {
+              type: 'string',
+              description: 'rank: ranked comparison with strengths and mistakes; merge: ranking plus one consensus answer (default: rank)',
+              enum: ['rank', 'merge']
+            },
+            priority: {
+              type: 'number',
+              description: 'Queue priority 1-7 (default: 5)'
+            }
+          },
+          required: ['task', 'models'],
+        },
+      },
+      {
+        name: 'elvis_compare_result',
+        description: 'Answers, durations and the judge verdict of an elvis_compare run',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            comparison_id: {
+              type: 'string',
+              description: 'The comparison ID returned by elvis_compare',
+            },
+          },
+          required: ['comparison_id'],
+        },
+      },
+      {
+        name: 'elvis_session',
+        description: 'Open, list, inspect or close multi-turn chat sessions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              description: 'open: start a session; list: all sessions; history: turns of one session; close: end a session',
+              enum: ['open', 'list', 'history', 'close']
+            },
+            session_id: {
+              type: 'string',
+              description: 'Session ID (for history and close)'
+            },
+            model: modelProperty(`Ollama model for the session (for open, default: ${DEFAULT_MODEL})`),
+            system: {
+              type: 'string',
+              description: 'System prompt (for open)'
+            }
+          },
+          required: ['action'],
+        },
+      },
+      {
+        name: 'elvis_session_send',
+        description: 'Send a message in a chat session; prior turns are included as history',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            session_id: {
+              type: 'string',
+              description: 'Session ID from elvis_session open'
+            },
+            message: {
+              type: 'string',
+              description: 'The message to send'
+            },
+            system: {
+              type: 'string',
+              description: 'Replace the session system prompt before sending'
+            },
+            wait_ms: {
+              type: 'number',
+              description: `How long to wait for the reply before returning the task ID instead (default: ${WAIT_TIMEOUT_MS}, max: ${MAX_WAIT_MS})`
+            },
+            priority: {
+              type: 'number',
+              description: 'Queue priority 1-7 (default: 5)'
+            }
+          },
+          required: ['session_id', 'message'],
+        },
+      },
+      {
+        name: 'elvis_status',
+        description: 'Check the status of a delegated task',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'The task ID to check',
+            },
+          },
+          required: ['task_id'],
+        },
+      },
+      {
+        name: 'elvis_wait',
+        description: 'Block until a task (or any/all of several tasks) finishes or a timeout expires, then return results or current status',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1,
+              description: 'Task IDs to wait for',
+            },
+            mode: {
+              type: 'string',
+              description: 'all: wait until every task has finished; any: return as soon as one has (default: all)',
+              enum: ['all', 'any']
+            },
+            timeout_ms: {
+              type: 'number',
+              description: `Maximum time to wait in milliseconds (default: ${WAIT_TIMEOUT_MS}, max: ${MAX_WAIT_MS})`
+            }
+          },
+          required: ['task_ids'],
+        },
+      },
+      {
+        name: 'elvis_result',
+        description: 'Get the result of a completed task',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'The task ID to retrieve results for',
+            },
+          },
+          required: ['task_id'],
+        },
+      },
+      {
+        name: 'elvis_peek',
+        description: 'See the partial output of a task that is still processing',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'The task ID to peek at',
+            },
+            tail_chars: {
+              type: 'number',
+              description: 'Only return the last N characters of the partial output'
+            }
+          },
+          required: ['task_id'],
+        },
+      },
+      {
+        name: 'elvis_cancel',
+        description: 'Cancel a pending or running task',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'The task ID to cancel',
+            },
+          },
+          required: ['task_id'],
+        },
+      },
+      {
+        name: 'elvis_retry',
+        description: 'Re-run a failed, cancelled or interrupted task',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'The task ID to retry',
+            },
+            model: modelProperty('Use a different Ollama model for the retry (default: original model)'),
+            priority: {
+              type: 'number',
+              description: 'Queue priority 1-7 (default: original priority)'
+            }
+          },
+          required: ['task_id'],
+        },
+      },
+      {
+        name: 'elvis_model_health',
+        description: 'Show model health, success rates and circuit breaker state',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'elvis_list',
+        description: 'List all tasks and their statuses',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'elvis_config',
+        description: 'Show the effective ELVIS configuration (secrets redacted)',
         inputSchema: {
           type: 'object',
           properties: {},
@@ -130,7 +1213,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             command: {
               type: 'string',
               description: 'Specific command to get help for (or "all" for overview)',
-              enum: ['all', 'delegate', 'status', 'result', 'list', 'examples', 'memory']
+              enum: ['all', 'delegate', 'batch', 'compare', 'session', 'status', 'wait', 'peek', 'result', 'cancel', 'retry', 'list', 'examples', 'presets', 'memory', 'config']
             }
           },
         },
@@ -143,25 +1226,48 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             action: {
               type: 'string',
-              description: 'Memory action to perform',
-              enum: ['list', 'add', 'access', 'clear', 'summary']
+              description: 'Memory action to perform (recall, search and promote work on the long-term archive)',
+              enum: ['list', 'add', 'update', 'delete', 'pin', 'unpin', 'access', 'clear', 'summary', 'recall', 'search', 'promote']
             },
             content: {
               type: 'string',
-              description: 'Content to store (for add action)'
+              description: `Content to store (for add and update; longer than ${MAX_CONTENT_LENGTH} characters is truncated)`
             },
             category: {
               type: 'string',
-              description: 'Memory category',
-              enum: ['decision', 'insight', 'pattern', 'reference', 'task', 'result']
+              description: 'Memory category (for add and update; filters list, recall and search)',
+              enum: MEMORY_CATEGORIES
             },
             priority: {
               type: 'number',
               description: 'Priority 1-7 (higher = more important)'
             },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tags to attach (for add and update) or that listed memories must all have (for list)'
+            },
+            status: {
+              type: 'string',
+              description: 'Only list memories with this status (for list; "archived" lists long-term memory)',
+              enum: ['active', 'archived']
+            },
+            persistence: {
+              type: 'string',
+              description: 'session (default): dropped when the server restarts; persistent: restored at startup (for add and update)',
+              enum: PERSISTENCE_LEVELS
+            },
             memory_id: {
               type: 'string',
-              description: 'Memory ID (for access action)'
+              description: 'Memory ID (for update, delete, pin, unpin, access, recall and promote actions)'
+            },
+            query: {
+              type: 'string',
+              description: 'What to look for in working and archived memories (for search action)'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum archived memories to return (for recall and search, default: 10)'
             }
           },
           required: ['action'],
@@ -169,13 +1275,47 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'elvis_screenshot',
-        description: 'Take a screenshot of the entire screen',
+        description: 'Take a screenshot of one display or all displays',
         inputSchema: {
           type: 'object',
           properties: {
             filename: {
               type: 'string',
               description: 'Optional filename for the screenshot'
+            },
+            display: {
+              type: 'string',
+              description: 'Display id or name from elvis_screen_info, or "all" (default: primary display)'
+            },
+            all_mode: {
+              type: 'string',
+              description: 'With display "all": one stitched image or one image per display (default: stitched)',
+              enum: ['stitched', 'separate']
+            },
+            return_image: {
+              type: 'boolean',
+              description: 'Also return the capture as image content (base64), for clients that cannot read local files'
+            },
+            image_format: {
+              type: 'string',
+              description: `Encoding for return_image (default: ${config.screen.imageFormat})`,
+              enum: ['png', 'jpeg']
+            },
+            max_bytes: {
+              type: 'integer',
+              minimum: 1,
+              description: `Byte budget for the base64 payload; images are downscaled to fit (default: ${config.screen.imageMaxBytes})`
+            },
+            max_width: {
+              type: 'integer',
+              minimum: 64,
+              description: `Maximum image width in pixels, at least 64 (default: ${config.screen.imageMaxWidth})`
+            },
+            quality: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 100,
+              description: `JPEG quality 1-100 (default: ${config.screen.imageQuality})`
             }
           },
         },
@@ -187,24 +1327,53 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           type: 'object',
           properties: {
             x: {
-              type: 'number',
+              type: 'integer',
+              minimum: 0,
               description: 'X coordinate of the region'
             },
             y: {
-              type: 'number',
+              type: 'integer',
+              minimum: 0,
               description: 'Y coordinate of the region'
             },
             width: {
-              type: 'number',
-              description: 'Width of the region'
+              type: 'integer',
+              minimum: 1,
+              description: 'Width of the region in pixels'
             },
             height: {
-              type: 'number',
-              description: 'Height of the region'
+              type: 'integer',
+              minimum: 1,
+              description: 'Height of the region in pixels'
             },
             filename: {
               type: 'string',
               description: 'Optional filename'
+            },
+            return_image: {
+              type: 'boolean',
+              description: 'Also return the capture as image content (base64), for clients that cannot read local files'
+            },
+            image_format: {
+              type: 'string',
+              description: `Encoding for return_image (default: ${config.screen.imageFormat})`,
+              enum: ['png', 'jpeg']
+            },
+            max_bytes: {
+              type: 'integer',
+              minimum: 1,
+              description: `Byte budget for the base64 payload; images are downscaled to fit (default: ${config.screen.imageMaxBytes})`
+            },
+            max_width: {
+              type: 'integer',
+              minimum: 64,
+              description: `Maximum image width in pixels, at least 64 (default: ${config.screen.imageMaxWidth})`
+            },
+            quality: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 100,
+              description: `JPEG quality 1-100 (default: ${config.screen.imageQuality})`
             }
           },
           required: ['x', 'y', 'width', 'height'],
@@ -220,96 +1389,733 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'What to analyze or look for (default: "What do you see on the screen?")'
             },
-            model: {
-              type: 'string',
-              description: 'Vision model to use (default: llava)',
-              enum: ['llava']
-            }
-          },
-        },
-      },
-      {
-        name: 'elvis_screen_info',
-        description: 'Get information about the display(s)',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-        },
-      },
-      {
-        name: 'elvis_cleanup_screenshots',
-        description: 'Clean up temporary screenshot files',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-        },
+            model: {
+              type: 'string',
+              description: `Vision model to use (default: ${config.screen.visionModel})`,
+              enum: [config.screen.visionModel]
+            },
+            display: {
+              type: 'string',
+              description: 'Display id or name from elvis_screen_info, or "all" (default: primary display)'
+            },
+            all_mode: {
+              type: 'string',
+              description: 'With display "all": one stitched image or one image per display (default: stitched)',
+              enum: ['stitched', 'separate']
+            }
+          },
+        },
+      },
+      {
+        name: 'elvis_screen_info',
+        description: 'Get information about the display(s)',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'elvis_cleanup_screenshots',
+        description: 'Clean up temporary screenshot files',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      }
+    ],
+  };
+});
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const { name, arguments: args } = request.params;
+  
+  switch (name) {
+    case 'elvis_delegate': {
+      const { task, model, context = '', priority = 5, depends_on = [], preset, options, response_schema, use_memory = false } = args;
+      const installed = findInstalledModel(model || DEFAULT_MODEL) || (!model && 'auto');
+      
+      if (!installed) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Model not installed: ${model}\n\nInstalled models: ${installedModels.join(', ')}\n\nPull it with "ollama pull ${model}" or choose an installed model.`,
+            },
+          ],
+        };
+      }
+      
+      let generation;
+      try {
+        generation = resolveOptions({ preset, options }, PRESETS);
+        if (response_schema !== undefined) {
+          compileSchema(response_schema);
+          generation.format = response_schema; // Ollama structured outputs take the schema as format
+        }
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: error.message,
+            },
+          ],
+        };
+      }
+      
+      const dependsOn = Array.from(new Set(depends_on));
+      const unknown = dependsOn.filter(id => !tasks.has(id));
+      if (unknown.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Unknown dependency task: ${unknown.join(', ')}`,
+            },
+          ],
+        };
+      }
+      
+      const { state, dependency } = dependencyState({ dependsOn });
+      if (state === 'failed') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Dependency ${dependency.id} is ${dependency.status} and will not complete. Retry it with elvis_retry, then delegate again.`,
+            },
+          ],
+        };
+      }
+      
+      const { taskRecord, selection } = delegateTask({
+        task, model: installed, context, priority,
+        ...(dependsOn.length > 0 ? { dependsOn } : {}),
+        ...generationFields(preset, generation),
+        ...(response_schema !== undefined ? { responseSchema: response_schema } : {}),
+        ...(use_memory ? await injectMemories(task, context) : {})
+      });
+      const taskId = taskRecord.id;
+      
+      const queueInfo = scheduler.getQueueInfo(taskId);
+      const queueText = taskRecord.status === 'waiting'
+        ? `waiting for ${dependsOn.filter(id => latestAttempt(id).status !== 'completed').join(', ')}`
+        : queueInfo
+          ? `pending (queue position ${queueInfo.position})`
+          : 'processing';
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Task delegated successfully!\n\nTask ID: ${taskId}\nModel: ${describeSelection(selection)}\nPriority: ${taskRecord.priority}\n${describeGeneration(taskRecord)}${describeInjection(taskRecord)}${response_schema !== undefined ? `Response schema: validated, up to ${config.tasks.schemaRetries} re-prompts\n` : ''}Status: ${queueText}\n\nUse elvis_status with this task ID to check progress.`,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_delegate_batch': {
+      const { tasks: batchTasks, model, context = '', priority = 5 } = args;
+      
+      if (!Array.isArray(batchTasks) || batchTasks.length === 0 ||
+          batchTasks.some(t => typeof t !== 'string' || !t.trim())) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'tasks must be a non-empty array of task strings.',
+            },
+          ],
+        };
+      }
+      
+      const installed = findInstalledModel(model || DEFAULT_MODEL) || (!model && 'auto');
+      if (!installed) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Model not installed: ${model}\n\nInstalled models: ${installedModels.join(', ')}\n\nPull it with "ollama pull ${model}" or choose an installed model.`,
+            },
+          ],
+        };
+      }
+      
+      const batchId = generateBatchId();
+      
+      const lines = batchTasks.map((task, i) => {
+        const { taskRecord, selection } = delegateTask({
+          task, model: installed, context, priority, batchId, batchIndex: i
+        });
+        return `${i + 1}. ${taskRecord.id} (${describeSelection(selection)}): ${task.substring(0, 50)}${task.length > 50 ? '...' : ''}`;
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `📦 Batch delegated: ${batchTasks.length} tasks\n\nBatch ID: ${batchId}\n\n${lines.join('\n')}\n\nUse elvis_batch_result with this batch ID to check progress and collect the results.`,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_batch_result': {
+      const { batch_id, partial = false } = args;
+      const items = getBatchItems(batch_id);
+      
+      if (items.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Batch not found: ${batch_id}`,
+            },
+          ],
+        };
+      }
+      
+      const counts = {};
+      for (const item of items) {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+      }
+      const finished = items.filter(t => !IN_FLIGHT_STATUSES.includes(t.status)).length;
+      const done = finished === items.length;
+      
+      let batchText = `📦 Batch ${batch_id}: ${done ? 'finished' : 'in progress'} (${finished}/${items.length} finished)\n`;
+      batchText += Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ') + '\n\n';
+      
+      batchText += items.map((item, i) => {
+        let line = `${i + 1}. ${item.id} [${item.status}] ${item.task.substring(0, 50)}${item.task.length > 50 ? '...' : ''}`;
+        if (item.retryOf) line += ` (retry of ${item.retryOf})`;
+        if (item.error) line += `\n   Error: ${item.error}`;
+        return line;
+      }).join('\n');
+      
+      if (done || partial) {
+        const completed = items.filter(t => t.status === 'completed');
+        batchText += `\n\n## Results (${completed.length}/${items.length})\n`;
+        batchText += completed.map(item =>
+          `\n### ${items.indexOf(item) + 1}. ${item.task}\n${item.result}\n`).join('');
+      } else {
+        batchText += '\n\nResults are returned once every item has finished (pass partial: true to see completed results now).';
+      }
+      
+      const failed = items.filter(t => RETRYABLE_STATUSES.includes(t.status));
+      if (done && failed.length > 0) {
+        batchText += `\n⚠️ ${failed.length} item(s) did not complete. Re-run them with elvis_retry; elvis_batch_result follows the retries.`;
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: batchText,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_compare': {
+      const { task, models = [], context = '', judge_model, judge_mode = 'rank', priority = 5 } = args;
+      
+      const missing = [...models, ...(judge_model ? [judge_model] : [])].filter(m => !findInstalledModel(m));
+      if (missing.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Model not installed: ${missing.join(', ')}\n\nInstalled models: ${installedModels.join(', ')}`,
+            },
+          ],
+        };
+      }
+      
+      // Compare installed names so "llama3" and "llama3:latest" count as one model
+      const unique = Array.from(new Set(models.map(findInstalledModel)));
+      if (unique.length < 2) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'elvis_compare needs at least two different models.',
+            },
+          ],
+        };
+      }
+      
+      const comparisonId = generateComparisonId();
+      const lines = unique.map((model, i) => {
+        const { taskRecord, selection } = delegateTask({
+          task,
+          model,
+          context,
+          priority,
+          comparisonId,
+          comparisonRole: 'candidate',
+          comparisonIndex: i,
+          judgeModel: judge_model ? findInstalledModel(judge_model) : null,
+          judgeMode: judge_mode
+        });
+        return `${comparisonLabel(i)}. ${describeSelection(selection)}: ${taskRecord.id}`;
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `⚖️ Comparison started: ${unique.length} models\n\nComparison ID: ${comparisonId}\n\n${lines.join('\n')}\n${judge_model ? `\nJudge: ${judge_model} (${judge_mode}), runs once every answer is in\n` : ''}\nUse elvis_compare_result with this comparison ID to see the answers.`,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_compare_result': {
+      const { comparison_id } = args;
+      const { candidates, judge } = getComparison(comparison_id);
+      
+      if (candidates.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Comparison not found: ${comparison_id}`,
+            },
+          ],
+        };
+      }
+      
+      const first = candidates[0];
+      const answered = candidates.filter(c => !IN_FLIGHT_STATUSES.includes(c.status)).length;
+      let compareText = `⚖️ Comparison ${comparison_id} (${answered}/${candidates.length} answered)\n\nTask: ${first.task}\n`;
+      
+      for (const [i, c] of candidates.entries()) {
+        compareText += `\n## ${comparisonLabel(i)}. ${c.model} [${c.status}]`;
+        if (c.duration_ms) {
+          compareText += ` - ${(c.duration_ms / 1000).toFixed(1)}s, ${c.tokens_generated || 0} tokens`;
+        }
+        compareText += '\n';
+        if (c.status === 'completed') {
+          compareText += `${c.result}\n`;
+        } else if (c.error) {
+          compareText += `Error: ${c.error}\n`;
+        }
+      }
+      
+      if (judge) {
+        compareText += `\n## Judge: ${judge.model} (${first.judgeMode}) [${judge.status}]\n`;
+        if (judge.status === 'completed') {
+          if (judge.ranking && judge.ranking.length > 0) {
+            compareText += `Ranking: ${judge.ranking.join(' > ')} (recorded in model health)\n`;
+          }
+          compareText += `${judge.result}\n`;
+        } else if (judge.error) {
+          compareText += `Error: ${judge.error}\n`;
+        }
+        if (judge.judgedTasks.length < candidates.length) {
+          compareText += `(Judged ${judge.judgedTasks.length} answers; the others did not complete)\n`;
+        }
+      } else if (first.judgeModel) {
+        compareText += answered < candidates.length
+          ? `\nJudge ${first.judgeModel} runs once every answer is in.`
+          : '\nNo judge run: fewer than two answers completed.';
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: compareText,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_session': {
+      const { action, session_id, model, system = '' } = args;
+      
+      switch (action) {
+        case 'open': {
+          const installed = findInstalledModel(model || DEFAULT_MODEL) || (!model && 'auto');
+          if (!installed) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Model not installed: ${model}\n\nInstalled models: ${installedModels.join(', ')}`
+              }]
+            };
+          }
+          
+          const sessionModel = installed === 'auto' ? healthTracker.getBestModel() : installed;
+          const session = chatSessions.open({
+            model: sessionModel,
+            system,
+            modelContextLength: await ollamaManager.getContextLength(sessionModel)
+          });
+          
+          return {
+            content: [{
+              type: 'text',
+              text: `💬 Session opened\n\nSession ID: ${session.id}\nModel: ${session.model}\nContext window: ${session.contextTokens} tokens (${chatSessions.responseReserve} reserved for the reply)\n${system ? `System prompt: ${system.substring(0, 100)}${system.length > 100 ? '...' : ''}\n` : ''}\nUse elvis_session_send to chat.`
+            }]
+          };
+        }
+        
+        case 'list': {
+          const sessions = chatSessions.list();
+          return {
+            content: [{
+              type: 'text',
+              text: sessions.length === 0
+                ? 'No open sessions.'
+                : `💬 Open sessions:\n\n${sessions.map(se => `${se.id} - ${se.model}, ${se.turns.length} turns, last active ${se.updated}`).join('\n')}`
+            }]
+          };
+        }
+        
+        case 'history': {
+          const session = chatSessions.get(session_id);
+          if (!session) {
+            return { content: [{ type: 'text', text: `Session not found: ${session_id}` }] };
+          }
+          
+          const turns = session.turns.map((turn, i) =>
+            `### Turn ${i + 1}${i < session.trimmedTurns ? ' (no longer sent: outside the context window)' : ''}\nUser: ${turn.user}\nAssistant: ${turn.assistant}`);
+          return {
+            content: [{
+              type: 'text',
+              text: `💬 Session ${session.id} (${session.model}, ${session.contextTokens}-token window)\n${session.system ? `System: ${session.system}\n` : ''}\n${turns.length > 0 ? turns.join('\n\n') : 'No turns yet.'}`
+            }]
+          };
+        }
+        
+        case 'close': {
+          const session = chatSessions.get(session_id);
+          if (!session) {
+            return { content: [{ type: 'text', text: `Session not found: ${session_id}` }] };
+          }
+          chatSessions.close(session_id);
+          return {
+            content: [{
+              type: 'text',
+              text: `💬 Session ${session_id} closed after ${session.turns.length} turns.`
+            }]
+          };
+        }
+        
+        default:
+          return { content: [{ type: 'text', text: `Unknown session action: ${action}` }] };
+      }
+    }
+    
+    case 'elvis_session_send': {
+      const { session_id, message, system, wait_ms = WAIT_TIMEOUT_MS, priority = 5 } = args;
+      const session = chatSessions.get(session_id);
+      
+      if (!session) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Session not found: ${session_id}\n\nOpen one with elvis_session({ action: "open" }).`
+          }]
+        };
+      }
+      
+      if (system !== undefined) {
+        chatSessions.setSystem(session, system);
+      }
+      
+      // Turns run one at a time so each one sees the previous reply
+      const previous = session.lastTaskId ? tasks.get(session.lastTaskId) : null;
+      const { taskRecord } = delegateTask({
+        task: message,
+        model: session.model,
+        priority,
+        sessionId: session.id,
+        ...(previous && IN_FLIGHT_STATUSES.includes(previous.status) ? { dependsOn: [previous.id] } : {})
+      });
+      session.lastTaskId = taskRecord.id;
+      
+      await waitForTasks([taskRecord.id], 'all', Math.min(Math.max(wait_ms, 0), MAX_WAIT_MS), extra && extra.signal, progressTokenOf(request));
+      
+      if (taskRecord.status === 'completed') {
+        const trimmed = session.trimmedTurns > 0
+          ? `\n(${session.trimmedTurns} oldest turns were left out to fit the ${session.contextTokens}-token window)`
+          : '';
+        return {
+          content: [{
+            type: 'text',
+            text: `${taskRecord.result}\n\n---\nSession ${session.id}, turn ${session.turns.length} (${taskRecord.id}, ${taskRecord.model}, ${(taskRecord.duration_ms / 1000).toFixed(1)}s)${trimmed}`
+          }]
+        };
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: IN_FLIGHT_STATUSES.includes(taskRecord.status)
+            ? `⏳ Reply not ready yet (status: ${taskRecord.status}).\n\nTask ID: ${taskRecord.id}\nUse elvis_wait or elvis_result with this task ID to get the reply.`
+            : `Failed to get a reply: ${taskRecord.error}\n\nTask ID: ${taskRecord.id}`
+        }]
+      };
+    }
+    
+    case 'elvis_status': {
+      const { task_id } = args;
+      const task = tasks.get(task_id);
+      
+      if (!task) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Task not found: ${task_id}`,
+            },
+          ],
+        };
+      }
+      
+      let statusText = `Task ID: ${task_id}\nStatus: ${task.status}\nModel: ${task.model}\nCreated: ${task.created}`;
+      
+      if (task.requestedModel && task.requestedModel !== task.model) {
+        statusText += `\nRequested model: ${task.requestedModel}`;
+      }
+      
+      const queueInfo = scheduler.getQueueInfo(task_id);
+      if (queueInfo) {
+        statusText += `\nQueue position: ${queueInfo.position} of ${queueInfo.queued} (${queueInfo.running} running)`;
+        statusText += `\nEstimated wait: ${formatWait(queueInfo.estimatedWaitMs)}`;
+      }
+      
+      if (task.started) {
+        statusText += `\nStarted: ${task.started}`;
+      }
+      
+      if (task.status === 'processing') {
+        statusText += `\nTokens so far: ${task.tokens_generated || 0} (use elvis_peek to see partial output)`;
+      }
+      
+      if (task.completed) {
+        statusText += `\nCompleted: ${task.completed}`;
+        if (task.duration_ms) {
+          statusText += `\nDuration: ${(task.duration_ms / 1000).toFixed(1)} seconds`;
+        }
+      }
+      
+      if (task.interrupted) {
+        statusText += `\nInterrupted: ${task.interrupted}`;
+      }
+      
+      if (task.error) {
+        statusText += `\nError: ${task.error}`;
+      }
+      
+      if (task.dependsOn) {
+        statusText += `\nDepends on: ${task.dependsOn.map(id => {
+          const upstream = latestAttempt(id);
+          return `${id}${upstream && upstream.id !== id ? ` → ${upstream.id}` : ''} (${upstream ? upstream.status : 'missing'})`;
+        }).join(', ')}`;
+      }
+      
+      if (task.batchId) {
+        statusText += `\nBatch: ${task.batchId} (item ${task.batchIndex + 1})`;
+      }
+      
+      if (task.modelOptions || task.format) {
+        statusText += `\n${describeGeneration(task).trim()}`;
+      }
+      
+      if (task.injectedMemories) {
+        statusText += `\n${describeInjection(task).trim()}`;
+      }
+      
+      if (task.responseSchema && task.schema_attempts) {
+        statusText += task.validation_errors
+          ? `\nSchema: attempt ${task.schema_attempts} failed validation (${task.validation_errors.join('; ')})`
+          : `\nSchema: reply validated (attempt ${task.schema_attempts})`;
+      }
+      
+      if (task.sessionId) {
+        statusText += `\nSession: ${task.sessionId}${task.history_turns_sent !== undefined ? ` (${task.history_turns_sent} earlier turns sent)` : ''}`;
+      }
+      
+      if (task.retryOf) {
+        statusText += `\nRetry of: ${task.retryOf} (attempt ${task.attempts.length + 1})`;
+      }
+      
+      if (task.retriedBy) {
+        statusText += `\nRetried as: ${task.retriedBy}`;
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: statusText,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_wait': {
+      const { task_ids = [], mode = 'all', timeout_ms = WAIT_TIMEOUT_MS } = args;
+      const taskIds = Array.from(new Set(task_ids));
+      const unknown = taskIds.filter(id => !tasks.has(id));
+      
+      if (taskIds.length === 0 || unknown.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: taskIds.length === 0 ? 'task_ids must list at least one task.' : `Task not found: ${unknown.join(', ')}`,
+            },
+          ],
+        };
+      }
+      
+      const started = Date.now();
+      const timeout = Math.min(Math.max(timeout_ms, 0), MAX_WAIT_MS);
+      const met = await waitForTasks(taskIds, mode, timeout, extra && extra.signal, progressTokenOf(request));
+      const waited = ((Date.now() - started) / 1000).toFixed(1);
+      
+      const sections = taskIds.map(id => {
+        const task = tasks.get(id);
+        let section = `## ${id} [${task.status}]\nTask: ${task.task.substring(0, 100)}${task.task.length > 100 ? '...' : ''}\n`;
+        if (task.status === 'completed') {
+          section += `\n${task.result}\n`;
+        } else if (task.error) {
+          section += `Error: ${task.error}\n`;
+        } else if (task.status === 'processing') {
+          section += `Tokens so far: ${task.tokens_generated || 0}\n`;
+        } else {
+          const queueInfo = scheduler.getQueueInfo(id);
+          if (queueInfo) section += `Queue position: ${queueInfo.position}, estimated wait: ${formatWait(queueInfo.estimatedWaitMs)}\n`;
+        }
+        return section;
+      });
+      
+      const headline = met
+        ? `⏱️ ${mode === 'any' ? 'A task finished' : 'All tasks finished'} after ${waited}s`
+        : `⏱️ Stopped waiting after ${waited}s (${mode === 'any' ? 'no task' : 'not every task'} has finished yet; call elvis_wait again to keep waiting)`;
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${headline}\n\n${sections.join('\n')}`,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_result': {
+      const { task_id } = args;
+      const task = tasks.get(task_id);
+      
+      if (!task) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Task not found: ${task_id}`,
+            },
+          ],
+        };
+      }
+      
+      if (task.status !== 'completed') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Task ${task_id} is not completed yet. Status: ${task.status}`,
+            },
+          ],
+        };
+      }
+      
+      // Auto-store in working memory
+      const summary = `${task.task.substring(0, 100)} → ${task.result.substring(0, 50)}...`;
+      const memory = workingMemory.add(
+        summary,
+        'result',
+        3, // Low-medium priority for results
+        [task.model, 'elvis', `duration:${(task.duration_ms / 1000).toFixed(1)}s`]
+      );
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Task: ${task.task}\n\nResult:\n${task.parsed !== undefined ? JSON.stringify(task.parsed, null, 2) : task.result}\n\n---\nCompleted in ${(task.duration_ms / 1000).toFixed(1)} seconds using ${task.model}${task.parsed !== undefined ? ` (matches response_schema, attempt ${task.schema_attempts})` : ''}\n\n💾 Stored in working memory (slot ${workingMemory.slots.length}/${workingMemory.maxSlots})`,
+          },
+        ],
+        // structuredContent must be an object, so other JSON values are wrapped
+        ...(task.parsed !== undefined ? {
+          structuredContent: task.parsed && typeof task.parsed === 'object' && !Array.isArray(task.parsed)
+            ? task.parsed
+            : { value: task.parsed }
+        } : {}),
+      };
+    }
+    
+    case 'elvis_peek': {
+      const { task_id, tail_chars } = args;
+      const task = tasks.get(task_id);
+      
+      if (!task) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Task not found: ${task_id}`,
+            },
+          ],
+        };
       }
-    ],
-  };
-});
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  
-  switch (name) {
-    case 'elvis_delegate': {
-      const { task, model = 'llama3.2', context = '' } = args;
-      const taskId = generateTaskId();
-      
-      // Create task record
-      const taskRecord = {
-        id: taskId,
-        task,
-        model,
-        context,
-        status: 'pending',
-        created: new Date().toISOString(),
-        result: null,
-        error: null
-      };
       
-      tasks.set(taskId, taskRecord);
+      if (task.status === 'completed') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Task ${task_id} is completed (${task.tokens_generated || 0} tokens). Use elvis_result to get the full output.`,
+            },
+          ],
+        };
+      }
       
-      // Process asynchronously
-      (async () => {
-        try {
-          taskRecord.status = 'processing';
-          taskRecord.started = new Date().toISOString();
-          
-          // Build prompt
-          const prompt = context 
-            ? `Context: ${context}\n\nTask: ${task}\n\nPlease provide a comprehensive response:`
-            : `Task: ${task}\n\nPlease provide a comprehensive response:`;
-          
-          // Call Ollama
-          const result = await callOllama(prompt, model);
-          
-          taskRecord.status = 'completed';
-          taskRecord.completed = new Date().toISOString();
-          taskRecord.result = result;
-          
-          // Calculate duration
-          const duration = new Date(taskRecord.completed) - new Date(taskRecord.started);
-          taskRecord.duration_ms = duration;
-          
-        } catch (error) {
-          taskRecord.status = 'failed';
-          taskRecord.error = error.message;
-          taskRecord.completed = new Date().toISOString();
-        }
-      })();
+      const partial = task.partial_result || '';
+      if (!partial) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No output yet for task ${task_id}. Status: ${task.status}`,
+            },
+          ],
+        };
+      }
+      
+      const shown = tail_chars && tail_chars < partial.length
+        ? '…' + partial.slice(-tail_chars)
+        : partial;
+      const elapsed = task.started ? (Date.now() - new Date(task.started)) / 1000 : 0;
+      const rate = elapsed > 0 && task.status === 'processing'
+        ? `, ${(task.tokens_generated / elapsed).toFixed(1)} tokens/s`
+        : '';
       
       return {
         content: [
           {
             type: 'text',
-            text: `Task delegated successfully!\n\nTask ID: ${taskId}\nModel: ${model}\nStatus: pending\n\nUse elvis_status with this task ID to check progress.`,
+            text: `Task: ${task.task}\nStatus: ${task.status}\nTokens so far: ${task.tokens_generated || 0}${rate}\n\nPartial output:\n${shown}`,
           },
         ],
       };
     }
     
-    case 'elvis_status': {
+    case 'elvis_cancel': {
       const { task_id } = args;
       const task = tasks.get(task_id);
       
@@ -324,38 +2130,45 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
       
-      let statusText = `Task ID: ${task_id}\nStatus: ${task.status}\nModel: ${task.model}\nCreated: ${task.created}`;
-      
-      if (task.started) {
-        statusText += `\nStarted: ${task.started}`;
-      }
+      // Waiting tasks are not in the scheduler yet
+      const outcome = task.status === 'waiting' ? 'waiting' : scheduler.cancel(task_id);
       
-      if (task.completed) {
-        statusText += `\nCompleted: ${task.completed}`;
-        if (task.duration_ms) {
-          statusText += `\nDuration: ${(task.duration_ms / 1000).toFixed(1)} seconds`;
-        }
+      if (!outcome) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Task ${task_id} is not waiting, pending or processing. Status: ${task.status}`,
+            },
+          ],
+        };
       }
       
-      if (task.error) {
-        statusText += `\nError: ${task.error}`;
+      // Running tasks are marked cancelled by processTask once the fetch aborts
+      if (outcome !== 'aborted') {
+        tasks.update(task_id, {
+          status: 'cancelled',
+          error: 'Cancelled by elvis_cancel',
+          completed: new Date().toISOString()
+        });
+        onTaskFinished(task);
       }
       
       return {
         content: [
           {
             type: 'text',
-            text: statusText,
+            text: `🛑 Task ${task_id} cancelled (${{ dequeued: 'removed from queue', waiting: 'was waiting for dependencies', aborted: 'in-flight request aborted' }[outcome]}).\n\nTasks that depend on it will fail. Use elvis_retry to run it again.`,
           },
         ],
       };
     }
     
-    case 'elvis_result': {
-      const { task_id } = args;
-      const task = tasks.get(task_id);
+    case 'elvis_retry': {
+      const { task_id, model, priority } = args;
+      const original = tasks.get(task_id);
       
-      if (!task) {
+      if (!original) {
         return {
           content: [
             {
@@ -366,31 +2179,133 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
       
-      if (task.status !== 'completed') {
+      if (!RETRYABLE_STATUSES.includes(original.status)) {
         return {
           content: [
             {
               type: 'text',
-              text: `Task ${task_id} is not completed yet. Status: ${task.status}`,
+              text: `Task ${task_id} cannot be retried. Status: ${original.status} (retryable: ${RETRYABLE_STATUSES.join(', ')})`,
             },
           ],
         };
       }
       
-      // Auto-store in working memory
-      const summary = `${task.task.substring(0, 100)} → ${task.result.substring(0, 50)}...`;
-      const memory = workingMemory.add(
-        summary,
-        'result',
-        3, // Low-medium priority for results
-        [task.model, 'elvis', `duration:${(task.duration_ms / 1000).toFixed(1)}s`]
-      );
+      const sessionError = sessionRetryError(original, original.sessionId ? chatSessions.get(original.sessionId) : null);
+      if (sessionError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: sessionError,
+            },
+          ],
+        };
+      }
+      
+      const retryModel = findInstalledModel(model || original.requestedModel || original.model);
+      if (!retryModel) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Model not installed: ${model || original.model}\n\nInstalled models: ${installedModels.join(', ')}`,
+            },
+          ],
+        };
+      }
+      
+      if (original.dependsOn) {
+        const { state, dependency } = dependencyState(original);
+        if (state === 'failed') {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Dependency ${dependency.id} is ${dependency.status}. Retry it first; this task will then wait for the new attempt.`,
+              },
+            ],
+          };
+        }
+      }
+      
+      const { taskRecord: retryRecord, selection } = delegateTask({
+        task: original.task,
+        model: retryModel,
+        context: original.context,
+        priority: priority || original.priority || 5,
+        ...(original.dependsOn ? { dependsOn: original.dependsOn } : {}),
+        ...generationFields(original.preset, original),
+        ...(original.responseSchema ? { responseSchema: original.responseSchema } : {}),
+        ...(original.injectedMemories ? {
+          memoryContext: original.memoryContext,
+          injectedMemories: original.injectedMemories,
+          memoriesOverBudget: original.memoriesOverBudget,
+          memoryMethod: original.memoryMethod
+        } : {}),
+        ...(original.batchId ? { batchId: original.batchId, batchIndex: original.batchIndex } : {}),
+        // Keep the retry in its comparison so the judge runs once it answers
+        ...(original.comparisonId ? {
+          comparisonId: original.comparisonId,
+          comparisonRole: original.comparisonRole,
+          comparisonIndex: original.comparisonIndex,
+          judgeModel: original.judgeModel,
+          judgeMode: original.judgeMode,
+          judgedTasks: original.judgedTasks
+        } : {}),
+        retryOf: original.id,
+        attempts: [
+          ...(original.attempts || []),
+          {
+            id: original.id,
+            model: original.model,
+            status: original.status,
+            error: original.error,
+            started: original.started || null,
+            completed: original.completed || original.interrupted || null
+          }
+        ]
+      });
+      const retryId = retryRecord.id;
+      tasks.update(original.id, { retriedBy: retryId });
+      notifyResourceUpdated(taskUri(original.id));
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🔁 Retry delegated!\n\nTask ID: ${retryId}\nRetry of: ${original.id}\nModel: ${describeSelection(selection)}\nAttempt: ${retryRecord.attempts.length + 1}${retryRecord.status === 'waiting' ? '\nStatus: waiting for dependencies' : ''}\n\nUse elvis_status with this task ID to check progress.`,
+          },
+        ],
+      };
+    }
+    
+    case 'elvis_model_health': {
+      const statusIcons = { active: '🟢', limited: '🟡', 'half-open': '🟠', disabled: '🔴' };
+      
+      let healthText = `🩺 Model Health (circuit opens after ${healthTracker.circuitBreaker.threshold} consecutive failures, re-probed after ${healthTracker.circuitBreaker.window / 3600000}h)\n\n`;
+      
+      for (const h of healthTracker.getStatus()) {
+        healthText += `${statusIcons[h.status] || '⚪'} ${h.model}: ${h.status}\n`;
+        healthText += `   Successes: ${h.successes}, Consecutive failures: ${h.failures}, Success rate: ${(h.successRate * 100).toFixed(0)}%\n`;
+        if (h.compared) {
+          healthText += `   Comparisons: ranked first in ${h.wins} of ${h.compared}\n`;
+        }
+        if (h.lastCheck) {
+          healthText += `   Last outcome: ${new Date(h.lastCheck).toISOString()}\n`;
+        }
+        if (h.reprobeAt) {
+          healthText += `   Re-probe after: ${h.reprobeAt.toISOString()}\n`;
+        }
+        healthText += '\n';
+      }
+      
+      healthText += `Best model for "auto": ${healthTracker.getBestModel()}\nFallback chain: ${healthTracker.fallbackChain.filter(m => healthTracker.health[m]).join(' → ')}`;
       
       return {
         content: [
           {
             type: 'text',
-            text: `Task: ${task.task}\n\nResult:\n${task.result}\n\n---\nCompleted in ${(task.duration_ms / 1000).toFixed(1)} seconds using ${task.model}\n\n💾 Stored in working memory (slot ${workingMemory.slots.length}/${workingMemory.maxSlots})`,
+            text: healthText,
           },
         ],
       };
@@ -414,7 +2329,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         listText += `ID: ${id}\n`;
         listText += `  Task: ${task.task.substring(0, 50)}${task.task.length > 50 ? '...' : ''}\n`;
         listText += `  Status: ${task.status}\n`;
+        const queueInfo = scheduler.getQueueInfo(id);
+        if (queueInfo) {
+          listText += `  Queue position: ${queueInfo.position}\n`;
+        }
         listText += `  Model: ${task.model}\n`;
+        if (task.batchId) {
+          listText += `  Batch: ${task.batchId}\n`;
+        }
         if (task.duration_ms) {
           listText += `  Duration: ${(task.duration_ms / 1000).toFixed(1)}s\n`;
         }
@@ -431,6 +2353,22 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
     
+    case 'elvis_config': {
+      const { filePath, sources } = config.meta;
+      const overrides = Object.entries(sources)
+        .filter(([_, source]) => source !== 'default')
+        .map(([key, source]) => `- ${key} ← ${source}`);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `⚙️ ELVIS Configuration\n\nConfig file: ${filePath || 'none (set ELVIS_CONFIG or create ~/.elvis/config.json)'}\n\nOverrides:\n${overrides.length > 0 ? overrides.join('\n') : '- none (all defaults)'}\n\nEffective configuration:\n${JSON.stringify(redactConfig(config), null, 2)}`,
+          },
+        ],
+      };
+    }
+    
     case 'elvis_help': {
       const { command = 'all' } = args;
       
@@ -443,26 +2381,48 @@ ${workingMemory.slots.length > 0 ? workingMemory.getSummary() + '\n\n' : ''}## A
 
 ### Task Delegation:
 1. **elvis_delegate** - Delegate a task to Ollama
-2. **elvis_status** - Check task status
-3. **elvis_result** - Get completed results
-4. **elvis_list** - List all tasks
+2. **elvis_delegate_batch** - Delegate several tasks at once
+3. **elvis_compare** - Ask several models the same task, with an optional judge
+4. **elvis_session** - Open, list, inspect or close multi-turn chat sessions
+5. **elvis_session_send** - Send a message in a chat session
+6. **elvis_status** - Check task status
+7. **elvis_wait** - Block until tasks finish (instead of polling elvis_status)
+8. **elvis_peek** - See partial output while a task is processing
+9. **elvis_result** - Get completed results
+10. **elvis_batch_result** - Per-item status and all results of a batch
+11. **elvis_compare_result** - Answers and judge verdict of a comparison
+12. **elvis_cancel** - Cancel a pending or running task
+13. **elvis_retry** - Re-run a failed, cancelled or interrupted task
+14. **elvis_list** - List all tasks
+15. **elvis_model_health** - Model success rates and circuit breaker state
 
 ### Screen Control:
-5. **elvis_screenshot** - Take a full screenshot
-6. **elvis_capture_region** - Capture a specific area
-7. **elvis_analyze_screen** - Screenshot + AI analysis
-8. **elvis_screen_info** - Get display information
-9. **elvis_cleanup_screenshots** - Clean temp files
+16. **elvis_screenshot** - Take a full screenshot
+17. **elvis_capture_region** - Capture a specific area
+18. **elvis_analyze_screen** - Screenshot + AI analysis
+19. **elvis_screen_info** - Get display information
+20. **elvis_cleanup_screenshots** - Clean temp files
 
 ### Memory & Help:
-10. **elvis_memory** - Manage working memory (7 slots)
-11. **elvis_help** - This help system
+21. **elvis_memory** - Manage working memory (${workingMemory.maxSlots} slots) and the long-term archive
+22. **elvis_config** - Show the effective configuration
+23. **elvis_help** - This help system
+
+## Resources:
+- elvis://task/<task_id> - Task record and result (JSON)
+- elvis://screenshot/<name> - Stored screenshot image
+- elvis://memory - Working memory contents (JSON)
+Subscribe to a task or to elvis://memory to be notified when it changes.
+
+## Prompts:
+code_review, summarize, explain_screen_error and compare_answers expand into
+step-by-step ELVIS workflows. Pass use_memory: "true" to include working memory as context.
 
 ## Quick Start:
 
 1. Delegate a task: elvis_delegate({ task: "Your question here" })
 2. Note the returned task_id
-3. Check status: elvis_status({ task_id: "task_xxx" })
+3. Wait for it: elvis_wait({ task_ids: ["task_xxx"] }) (or poll elvis_status)
 4. Get result when complete: elvis_result({ task_id: "task_xxx" })
 
 For detailed help on any command, use: elvis_help({ command: "delegate" })`,
@@ -475,13 +2435,52 @@ Delegates a task or question to an Ollama model for asynchronous processing.
 ## Parameters:
 - **task** (required): The task or question to delegate
 - **model** (optional): Ollama model to use
-  - Options: llama3.2 (default), deepseek-r1, mixtral, gemma:2b, phi3:mini
+  - Installed: ${installedModels.join(', ') || 'unknown (Ollama not reachable)'}
+  - Default: ${DEFAULT_MODEL} (or "auto" if it is not installed)
+  - "auto" picks the model with the best success rate
+  - Models disabled by the circuit breaker fall back along the chain ${healthTracker.fallbackChain.filter(m => healthTracker.health[m]).join(' → ')}
+  - The installed list is refreshed from Ollama every minute; clients are notified when it changes
 - **context** (optional): Additional context for the task
+- **priority** (optional): Queue priority 1-7, higher runs first (default: 5)
+- **depends_on** (optional): Task IDs that must complete before this task starts
+- **preset** (optional): Named generation options: ${Object.keys(PRESETS).join(', ')} (see elvis_help presets)
+- **options** (optional): Ollama generation options (temperature, top_p, top_k, seed,
+  num_ctx, num_predict, stop, ...) plus format: "json"; these override the preset
+- **response_schema** (optional): JSON Schema the reply must match (see Structured output)
+- **use_memory** (optional): Prepend relevant working memories to the prompt (see Memory injection)
+
+## Queueing:
+Tasks run through a bounded queue (ELVIS_MAX_CONCURRENT overall, default 2;
+ELVIS_MAX_PER_MODEL per model, default 1). Equal priorities run in arrival order.
+
+## Dependencies:
+A task with depends_on stays "waiting" until every dependency has completed, then
+is queued automatically. Write {{task_id}} (or {{task_id.result}}) in task or context
+to insert a dependency's result; results that are not referenced are appended to the
+context. If a dependency fails or is cancelled, the task and everything downstream of
+it fail too. After retrying the failed dependency, retry the downstream tasks: they
+wait for the new attempt.
+
+## Memory injection:
+With use_memory: true, working memories are ranked by similarity to the task and
+context. Those scoring at least memory.injectionThreshold (${config.memory.injectionThreshold}) are prepended
+to the prompt, best first, until memory.injectionTokenBudget (${config.memory.injectionTokenBudget} tokens) is used.
+Without embeddings, memories are ranked by keyword overlap and must score at least
+memory.keywordInjectionThreshold (${config.memory.keywordInjectionThreshold}) instead.
+The injected memory IDs and scores are recorded on the task (see elvis_status);
+retries reuse the same memories.
+
+## Structured output:
+With response_schema, the schema is sent as Ollama's structured output format and
+spelled out in the prompt. A reply that is not valid JSON or does not match the
+schema is sent back with the validation errors, up to tasks.schemaRetries times
+(${config.tasks.schemaRetries}); after that the task fails with the last errors. elvis_result returns
+the parsed object as structured content (non-object values as { value }).
 
 ## Returns:
 - Task ID for tracking
 - Model being used
-- Initial status (pending)
+- Initial status and queue position
 
 ## Examples:
 
@@ -499,6 +2498,33 @@ elvis_delegate({
   task: "Summarize the key points",
   context: "Focus on technical aspects only",
   model: "mixtral"
+})
+
+// Pipeline: summarize, then use the summary
+elvis_delegate({ task: "Summarize this design doc: ..." })
+// Returns: task_1234567_abc123
+elvis_delegate({
+  task: "List the open questions in this summary:\n{{task_1234567_abc123}}",
+  depends_on: ["task_1234567_abc123"]
+})
+
+// Reproducible output with a larger context window
+elvis_delegate({
+  task: "Classify this ticket as bug, feature or question: ...",
+  preset: "deterministic",
+  options: { num_ctx: 8192, stop: ["\\n\\n"] }
+})
+
+// Extract structured data
+elvis_delegate({
+  task: "Extract the people mentioned: Ada (36) met Alan (41) in London.",
+  response_schema: {
+    type: "object",
+    properties: {
+      people: { type: "array", items: { type: "object", properties: { name: { type: "string" }, age: { type: "integer" } }, required: ["name", "age"] } }
+    },
+    required: ["people"]
+  }
 })`,
         
         status: `# elvis_status - Check Task Status
@@ -511,8 +2537,11 @@ Check the current status of a delegated task.
 
 ## Returns:
 - Task ID
-- Current status: pending, processing, completed, or failed
+- Current status: waiting, pending, processing, completed, failed, cancelled, or interrupted
 - Model used
+- Dependencies and their status (tasks delegated with depends_on)
+- Queue position and estimated wait (while pending)
+- Tokens generated so far (while processing)
 - Timestamps (created, started, completed)
 - Duration (if completed)
 - Error message (if failed)
@@ -521,10 +2550,15 @@ Check the current status of a delegated task.
 elvis_status({ task_id: "task_1234567_abc123" })
 
 ## Status Flow:
-1. **pending** - Task queued, waiting to start
-2. **processing** - Ollama is working on the task
-3. **completed** - Task finished successfully
-4. **failed** - Task encountered an error`,
+1. **waiting** - Blocked until its depends_on tasks complete
+2. **pending** - Task queued, waiting for a free slot
+3. **processing** - Ollama is working on the task
+4. **completed** - Task finished successfully
+5. **failed** - Task encountered an error (or a dependency failed)
+6. **cancelled** - Stopped with elvis_cancel
+7. **interrupted** - The server restarted while the task was waiting, pending or processing
+
+Failed, cancelled and interrupted tasks can be re-run with elvis_retry.`,
         
         result: `# elvis_result - Get Task Results
 
@@ -546,7 +2580,229 @@ elvis_result({ task_id: "task_1234567_abc123" })
 ## Notes:
 - Only works for tasks with status "completed"
 - For pending/processing tasks, use elvis_status instead
-- Results are kept in memory until server restart`,
+- Results are persisted to ${config.tasks.storePath} and survive server restarts`,
+        
+        presets: `# Generation Presets
+
+## Purpose:
+Named sets of Ollama generation options for elvis_delegate, so common settings
+don't have to be spelled out on every call.
+
+## Available presets:
+${Object.entries(PRESETS).map(([name, options]) => `- **${name}**: ${describeOptions(options)}`).join('\n')}
+
+## Options:
+${Object.keys(OPTION_SPECS).join(', ')}, format ("json")
+Values are checked before the task is queued; explicit options override the preset.
+
+## Custom presets:
+Add presets (or redefine built-in ones) under tasks.presets in the config file,
+or as JSON in ELVIS_PRESETS:
+
+tasks:
+  presets:
+    terse:
+      temperature: 0.2
+      num_predict: 256
+
+## Example:
+elvis_delegate({ task: "Write a haiku about tea", preset: "creative" })`,
+        
+        wait: `# elvis_wait - Wait for Tasks
+
+## Purpose:
+Block until tasks finish instead of polling elvis_status in a loop.
+
+## Parameters:
+- **task_ids** (required): One or more task IDs
+- **mode** (optional): "all" (default) waits for every task; "any" returns when the first one finishes
+- **timeout_ms** (optional): Maximum wait (default: ${WAIT_TIMEOUT_MS}, max: ${MAX_WAIT_MS})
+
+## Returns:
+- Whether the wait condition was met or the timeout expired
+- For each task: the result if completed, the error if it failed,
+  otherwise its current status (tokens so far or queue position)
+
+## Notes:
+- Finished means completed, failed, cancelled or interrupted
+- Some MCP clients give up on tool calls after about a minute; keep timeout_ms
+  below that and call elvis_wait again if needed
+- With a progressToken in the request _meta, progress notifications arrive while
+  waiting: tokens generated for one task, tasks finished of total for several
+
+## Examples:
+elvis_wait({ task_ids: ["task_1234567_abc123"] })
+elvis_wait({ task_ids: ["task_a", "task_b"], mode: "any", timeout_ms: 10000 })`,
+        
+        session: `# elvis_session / elvis_session_send - Chat Sessions
+
+## Purpose:
+Hold a multi-turn conversation with one model. Each message is sent through
+Ollama's chat API together with the system prompt and earlier turns.
+
+## elvis_session parameters:
+- **action** (required): "open", "list", "history" or "close"
+- **session_id** (history, close): The session ID from open
+- **model** (open, optional): Model for the whole session (default: ${DEFAULT_MODEL})
+- **system** (open, optional): System prompt
+
+## elvis_session_send parameters:
+- **session_id** (required): The session ID
+- **message** (required): The message to send
+- **system** (optional): Replace the system prompt from this turn on
+- **wait_ms** (optional): How long to wait for the reply (default: ${WAIT_TIMEOUT_MS}, max: ${MAX_WAIT_MS})
+- **priority** (optional): Queue priority 1-7 (default: 5)
+
+## Returns:
+- The reply, or the task ID if it is not ready within wait_ms
+  (fetch it later with elvis_wait or elvis_result)
+
+## Context window:
+- The window is the smaller of the model's context length and
+  sessions.maxContextTokens (${chatSessions.maxContextTokens}); sessions.responseReserveTokens
+  (${chatSessions.responseReserve}) of it is kept free for the reply
+- When the history no longer fits, the oldest turns are left out; elvis_session
+  history marks them and elvis_status shows how many turns were sent
+- Messages sent before the previous reply arrives wait for it
+
+## Notes:
+- Sessions live in memory and end when the server restarts
+- Each message is a regular task: elvis_status, elvis_peek and elvis_cancel work on it
+
+## Example:
+elvis_session({ action: "open", model: "llama3.2", system: "You are a terse SQL tutor." })
+elvis_session_send({ session_id: "sess_1234567_abc123", message: "What is a LEFT JOIN?" })
+elvis_session_send({ session_id: "sess_1234567_abc123", message: "Show an example with two tables." })`,
+        
+        peek: `# elvis_peek - Peek at Partial Output
+
+## Purpose:
+See what a long-running task has produced so far. Responses are streamed
+from Ollama, so output is available as soon as the model starts generating.
+
+## Parameters:
+- **task_id** (required): The task ID to peek at
+- **tail_chars** (optional): Only return the last N characters
+
+## Returns:
+- Current status
+- Tokens generated so far and generation rate
+- Partial output
+
+## Progress Notifications:
+Pass a progressToken in the request _meta of elvis_wait (or elvis_session_send)
+to receive notifications/progress while the call is open: tokens generated for
+a single task, finished/total for several. Subscribe to elvis://task/{id} to
+follow background tasks without blocking.
+
+## Example:
+elvis_peek({ task_id: "task_1234567_abc123", tail_chars: 500 })`,
+        
+        cancel: `# elvis_cancel - Cancel a Task
+
+## Purpose:
+Stop a task that is still queued or running (e.g. a runaway deepseek-r1 task).
+
+## Parameters:
+- **task_id** (required): The task ID to cancel
+
+## Behavior:
+- Queued tasks are removed from the queue immediately
+- Running tasks have their in-flight Ollama request aborted
+- The task status becomes "cancelled"
+
+## Example:
+elvis_cancel({ task_id: "task_1234567_abc123" })`,
+        
+        batch: `# elvis_delegate_batch / elvis_batch_result - Batch Delegation
+
+## Purpose:
+Delegate a list of related tasks in one call and collect all of their results together.
+
+## elvis_delegate_batch parameters:
+- **tasks** (required): Array of task strings
+- **model** (optional): Model for every task (default: ${DEFAULT_MODEL})
+- **context** (optional): Context shared by every task
+- **priority** (optional): Queue priority 1-7 for every task (default: 5)
+
+## elvis_batch_result parameters:
+- **batch_id** (required): The batch ID from elvis_delegate_batch
+- **partial** (optional): Return completed results before the batch finishes
+
+## Returns:
+- Per-item status (pending, processing, completed, failed, ...)
+- Once every item has finished: all completed results, in submission order
+- Items that failed or were cancelled are listed with their errors
+
+## Progress:
+Pass the batch's task IDs to elvis_wait with a progressToken to get
+finished/total notifications while it runs.
+
+## Partial success:
+Retry failed items with elvis_retry; elvis_batch_result reports the latest
+attempt of each item, so the batch completes once the retries succeed.
+
+## Examples:
+elvis_delegate_batch({
+  tasks: ["What is machine learning?", "What is deep learning?", "What is reinforcement learning?"],
+  context: "One paragraph each, for a beginner"
+})
+elvis_batch_result({ batch_id: "batch_1234567_abc123" })`,
+        
+        compare: `# elvis_compare / elvis_compare_result - Multi-Model Comparison
+
+## Purpose:
+Fan one task out to several models, collect every answer with its duration,
+and optionally let a judge model rank the answers or merge them into a consensus.
+
+## elvis_compare parameters:
+- **task** (required): The task or question every model answers
+- **models** (required): At least two installed models
+- **context** (optional): Context shared by every model
+- **judge_model** (optional): Model that judges once all answers are in
+- **judge_mode** (optional): "rank" (default) or "merge" (ranking plus one consensus answer)
+- **priority** (optional): Queue priority 1-7 (default: 5)
+
+## elvis_compare_result parameters:
+- **comparison_id** (required): The comparison ID from elvis_compare
+
+## Notes:
+- Answers are shown to the judge as A, B, C... without model names
+- Each answer counts toward its model's success/failure stats
+- The judge's ranking is recorded in elvis_model_health (ranked first in X of Y)
+- Failed answers are left out of judging; at least two answers are needed
+
+## Example:
+elvis_compare({
+  task: "Is a linked list or an array better for a queue?",
+  models: ["llama3.2", "deepseek-r1", "phi3:mini"],
+  judge_model: "deepseek-r1",
+  judge_mode: "merge"
+})
+elvis_compare_result({ comparison_id: "cmp_1234567_abc123" })`,
+        
+        retry: `# elvis_retry - Retry a Task
+
+## Purpose:
+Re-run a failed, cancelled or interrupted task without losing the link to the original.
+
+## Parameters:
+- **task_id** (required): The task ID to retry
+- **model** (optional): Use a different model for this attempt
+- **priority** (optional): Queue priority 1-7 (default: original priority)
+
+## Returns:
+- A new task ID, linked to the original via retryOf
+- The attempt number
+
+## Notes:
+- The new task record keeps the history of all previous attempts
+- The original task shows "Retried as" in elvis_status
+- Chat session turns cannot be retried; resend the message with elvis_session_send
+
+## Examples:
+elvis_retry({ task_id: "task_1234567_abc123" })
+elvis_retry({ task_id: "task_1234567_abc123", model: "llama3.2" })`,
         
         list: `# elvis_list - List All Tasks
 
@@ -569,7 +2825,7 @@ elvis_list()
 
 ## Notes:
 - Tasks are listed in order of creation
-- Only shows tasks from current session
+- Includes tasks from previous sessions
 - Useful for finding lost task IDs`,
         
         examples: `# ELVIS Usage Examples
@@ -604,21 +2860,18 @@ elvis_delegate({
 })
 
 ## Batch Processing Example:
-// Delegate multiple related tasks
-const tasks = [
-  "What is machine learning?",
-  "What is deep learning?",
-  "What is reinforcement learning?"
-];
-
-const taskIds = [];
-for (const task of tasks) {
-  const result = await elvis_delegate({ task });
-  taskIds.push(result.task_id);
-}
+// Delegate multiple related tasks in one call
+elvis_delegate_batch({
+  tasks: [
+    "What is machine learning?",
+    "What is deep learning?",
+    "What is reinforcement learning?"
+  ]
+})
+// Returns: batch_1234567_abc123
 
-// Check all statuses
-elvis_list()
+// Per-item status, then all results together once the batch finishes
+elvis_batch_result({ batch_id: "batch_1234567_abc123" })
 
 ## Model Selection Guide:
 - **llama3.2**: Fast, general purpose (default)
@@ -630,25 +2883,36 @@ elvis_list()
         memory: `# elvis_memory - Working Memory Management
 
 ## Purpose:
-Manage a 7-slot working memory that persists across ELVIS operations.
+Manage a ${workingMemory.maxSlots}-slot working memory that persists across ELVIS operations.
 
 ## Parameters:
 - **action** (required): Operation to perform
-  - list: Show all memories
+  - list: Show memories (filter with category, tags and status)
   - add: Store new memory
+  - update: Change content, category, priority, tags or persistence of a memory
+  - delete: Remove one memory (not archived)
+  - pin / unpin: Protect a memory from eviction and clear (up to ${workingMemory.maxSlots - 1} pinned)
   - access: Retrieve and update access count
-  - clear: Remove all memories
+  - clear: Remove all unpinned memories (decisions and insights are archived)
   - summary: Get formatted summary
-- **content** (for add): Text to store
-- **category** (for add): Type of memory
+  - recall: Show one archived memory by memory_id, or the most recently archived
+  - search: Rank working and archived memories by similarity to query
+  - promote: Move an archived memory back into working memory
+- **content** (for add, update): Text to store; over ${MAX_CONTENT_LENGTH} characters is truncated (with a warning)
+- **category** (for add, update; filters list, recall and search): Type of memory
   - decision: Important choices (kept longest)
   - insight: Discoveries and learnings
   - pattern: Recurring themes
   - reference: File paths, IDs
   - task: Task-related info
   - result: Task results (lowest priority)
-- **priority** (for add): 1-7, higher = more important
-- **memory_id** (for access): ID to retrieve
+- **priority** (for add, update): 1-7, higher = more important
+- **persistence** (for add, update): "session" (default) or "persistent" (survives restarts)
+- **tags** (for add, update; filters list): Tags; a listed memory must have every tag given, and update replaces the old tags (keeping "manual")
+- **status** (filters list): "active" or "archived" (lists long-term memory)
+- **memory_id** (for update, delete, pin, unpin, access, recall, promote): ID to act on
+- **query** (for search): What to look for
+- **limit** (for recall, search): Maximum results (default: 10)
 
 ## Examples:
 
@@ -660,44 +2924,108 @@ elvis_memory({
   action: "add",
   content: "Use deepseek-r1 for complex analysis tasks",
   category: "decision",
-  priority: 7
+  priority: 7,
+  persistence: "persistent"
 })
 
-// List detailed memory info
-elvis_memory({ action: "list" })
+// List detailed memory info
+elvis_memory({ action: "list" })
+elvis_memory({ action: "list", category: "decision", tags: ["models"] })
+
+// Fix a typo and protect the memory from eviction
+elvis_memory({ action: "update", memory_id: "wm_1234567_abc123", content: "Use deepseek-r1 for complex analysis" })
+elvis_memory({ action: "pin", memory_id: "wm_1234567_abc123" })
+
+// Find an old decision and bring it back
+elvis_memory({ action: "search", query: "deepseek analysis" })
+elvis_memory({ action: "promote", memory_id: "wm_1234567_abc123" })
+
+## Memory Management:
+- Working memory is saved to ${config.memory.snapshotPath} on every change;
+  at startup persistent memories are restored and session memories dropped
+- When all ${workingMemory.maxSlots} slots are full, the lowest value unpinned memory is evicted
+- Value based on: age, access count, priority, category, and similarity to tasks in flight
+- Memories are embedded with ${config.memory.embeddingModel} (memory.embeddingModel) when added;
+  search ranks by cosine similarity, or falls back to keywords if the model is unavailable
+  (install it with "ollama pull ${config.memory.embeddingModel}"); long-term memories
+  are embedded the first time a search reaches them
+- Decisions and insights that are evicted or cleared move to long-term memory
+  (${config.memory.archivePath}), which survives restarts
+- Promoted memories keep their ID and leave the archive`,
+        
+        config: `# elvis_config - Effective Configuration
+
+## Purpose:
+Show the configuration ELVIS is running with and where each override came from.
+
+## Sources (later wins):
+1. Built-in defaults
+2. Config file: ELVIS_CONFIG, or ~/.elvis/config.json, config.yaml or config.yml
+3. ELVIS_* environment variables (e.g. ELVIS_OLLAMA_HOST, ELVIS_DEFAULT_MODEL, ELVIS_MEMORY_SLOTS)
+
+## Example config.yaml:
+ollama:
+  host: localhost
+  port: 11434
+  lifecycle: spawn
+tasks:
+  defaultModel: llama3.2
+  maxConcurrent: 2
+sessions:
+  maxContextTokens: 8192
+memory:
+  slots: 7
+screen:
+  visionModel: llava
+
+## Notes:
+- Invalid settings stop the server at startup with a list of every problem
+- Secret values (ollama.apiKey) are redacted in the output
+- Changes take effect after a restart
 
-## Memory Management:
-- When all 7 slots are full, lowest value memory is evicted
-- Value based on: age, access count, priority, category
-- Important memories (decisions, insights) are archived before deletion`,
+## Example:
+elvis_config()`,
         
         screenshot: `# elvis_screenshot - Take Full Screenshot
 
 ## Purpose:
-Capture the entire screen as a PNG image.
+Capture one display, or all displays, as PNG images.
 
 ## Parameters:
 - **filename** (optional): Custom filename for the screenshot
+- **display** (optional): Display id or name from elvis_screen_info, or "all"
+- **all_mode** (optional): "stitched" (default) or "separate" when display is "all"
+- **return_image** (optional): Also return the capture as MCP image content (base64)
+- **image_format** (optional): "png" or "jpeg" (default: ${config.screen.imageFormat})
+- **max_bytes** (optional): Base64 byte budget, shared by all images (default: ${config.screen.imageMaxBytes})
+- **max_width** (optional): Maximum width in pixels, at least 64 (default: ${config.screen.imageMaxWidth})
+- **quality** (optional): JPEG quality 1-100 (default: ${config.screen.imageQuality})
 
 ## Returns:
 - File path where screenshot was saved
 - File size
 - Timestamp
+- With return_image: one image block per capture, downscaled/recompressed to fit max_bytes
 
 ## Example:
 elvis_screenshot()
-elvis_screenshot({ filename: "my-screen.png" })`,
+elvis_screenshot({ filename: "my-screen.png" })
+elvis_screenshot({ display: "2" })
+elvis_screenshot({ display: "all", all_mode: "separate" })
+elvis_screenshot({ return_image: true, max_bytes: 300000 })`,
         
         analyze_screen: `# elvis_analyze_screen - AI Screen Analysis
 
 ## Purpose:
-Take a screenshot and analyze it using Ollama's vision model (llava).
+Take a screenshot and analyze it using Ollama's vision model (${config.screen.visionModel}).
 
 ## Parameters:
 - **prompt** (optional): What to look for or analyze
   - Default: "What do you see on the screen?"
+- **display** (optional): Display id or name, or "all" (default: primary display)
+- **all_mode** (optional): "stitched" (default) or "separate" (each display sent as its own image)
 - **model** (optional): Vision model to use
-  - Currently only supports: llava
+  - Currently only supports: ${config.screen.visionModel} (set screen.visionModel in the config)
 
 ## Returns:
 - AI analysis of the screen content
@@ -729,12 +3057,20 @@ elvis_analyze_screen({
         screen: `# Screen Control Commands
 
 ## elvis_screenshot
-Take a full screenshot of your main display.
+Take a screenshot of the primary display, a specific display (display: "2"),
+or every display (display: "all", stitched or one image each).
 
 ## elvis_capture_region
 Capture a specific rectangular area:
-- x, y: Top-left corner coordinates
-- width, height: Size of the region
+- x, y: Top-left corner coordinates (non-negative integers)
+- width, height: Size of the region in pixels (positive integers)
+
+## Image content
+Pass return_image: true to elvis_screenshot or elvis_capture_region to get
+the capture back as base64 image content, for clients that cannot read the
+server's temp directory. Images are downscaled (ImageMagick or sips) to fit
+max_bytes; defaults come from screen.imageMaxBytes, screen.imageMaxWidth,
+screen.imageFormat and screen.imageQuality in the config.
 
 ## elvis_analyze_screen
 Combines screenshot + AI analysis in one step.
@@ -744,7 +3080,14 @@ Perfect for:
 - "Describe the current UI"
 
 ## elvis_screen_info
-Get display resolution and count.
+List every display with id, geometry, scale factor and primary flag.
+
+## Platforms:
+- macOS: screencapture
+- Linux X11: ImageMagick import (or xwd), display info from xrandr
+- Linux Wayland: grim
+- Fallback: ImageMagick reading the X root window
+Set screen.backend (or ELVIS_SCREEN_BACKEND) to force one.
 
 ## elvis_cleanup_screenshots
 Remove temporary screenshot files.
@@ -770,25 +3113,49 @@ Screen analysis results are automatically stored in working memory and can be us
     }
     
     case 'elvis_memory': {
-      const { action, content, category, priority, memory_id } = args;
+      const { action, content, category, priority, persistence, tags, status, memory_id, query, limit = 10 } = args;
       
       switch (action) {
         case 'list':
-          const memories = workingMemory.list(true);
+          const filtered = Boolean(category || (tags && tags.length > 0) || status);
+          
+          if (status === 'archived') {
+            const archivedList = memoryArchive.list(category)
+              .filter(m => !tags || tags.every(tag => (m.systemTags || []).includes(tag)));
+            return {
+              content: [{
+                type: 'text',
+                text: archivedList.length === 0
+                  ? 'No archived memories match the filters.'
+                  : `📦 Long-term memory (${archivedList.length}):\n\n${archivedList.map(formatArchived).join('\n\n')}`
+              }]
+            };
+          }
+          
+          const memories = workingMemory.list(true, { category, tags, status });
           if (memories.length === 0) {
             return {
               content: [{
                 type: 'text',
-                text: 'No memories stored yet.'
+                text: filtered ? 'No memories match the filters.' : 'No memories stored yet.'
               }]
             };
           }
           
-          let listText = 'Working Memory Contents:\n\n';
+          let listText = filtered
+            ? `Working Memory Contents (${memories.length} of ${workingMemory.slots.length} match):\n\n`
+            : 'Working Memory Contents:\n\n';
           memories.forEach((m, i) => {
-            listText += `${i + 1}. [${m.metaTags.category}] ${m.content}\n`;
+            listText += `${i + 1}. ${m.metaTags.pinned ? '📌 ' : ''}[${m.metaTags.category}] ${m.content}\n`;
             listText += `   ID: ${m.id}\n`;
-            listText += `   Priority: ${m.priority}/7, Value: ${m.value}, Accessed: ${m.metadata.accessCount}x\n\n`;
+            listText += `   Priority: ${m.priority}/7, Value: ${m.value}, Accessed: ${m.metadata.accessCount}x, Persistence: ${m.metaTags.persistence}\n`;
+            if (m.systemTags && m.systemTags.length > 0) {
+              listText += `   Tags: ${m.systemTags.join(', ')}\n`;
+            }
+            if (m.metadata.originalLength) {
+              listText += `   Truncated from ${m.metadata.originalLength} characters\n`;
+            }
+            listText += '\n';
           });
           
           return {
@@ -808,16 +3175,37 @@ Screen analysis results are automatically stored in working memory and can be us
             };
           }
           
-          const evicted = workingMemory.slots.length >= workingMemory.maxSlots ? 
-            workingMemory.slots.map(m => ({ m, v: workingMemory.calculateValue(m) }))
-              .sort((a, b) => a.v - b.v)[0].m : null;
+          if (!MEMORY_CATEGORIES.includes(category)) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: category must be one of ${MEMORY_CATEGORIES.join(', ')}`
+              }]
+            };
+          }
+          
+          const evicted = workingMemory.slots.length >= workingMemory.maxSlots ?
+            workingMemory.nextEviction() : null;
+          
+          if (persistence && !PERSISTENCE_LEVELS.includes(persistence)) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: persistence must be one of ${PERSISTENCE_LEVELS.join(', ')}`
+              }]
+            };
+          }
           
-          const memory = workingMemory.add(content, category, priority || 5, ['manual']);
+          const memory = workingMemory.add(content, category, priority || 5, ['manual', ...(tags || [])], persistence || 'session');
           
-          let response = `✅ Added to working memory:\nID: ${memory.id}\nCategory: ${category}\nPriority: ${memory.priority}`;
+          let response = `✅ Added to working memory:\nID: ${memory.id}\nCategory: ${category}\nPriority: ${memory.priority}\nPersistence: ${memory.metaTags.persistence}`;
+          response += truncationNotice(memory);
           
           if (evicted) {
             response += `\n\n🗑️ Evicted: [${evicted.metaTags.category}] ${evicted.content.substring(0, 50)}...`;
+            if (ARCHIVE_CATEGORIES.includes(evicted.metaTags.category)) {
+              response += `\n📦 Archived to long-term memory (ID: ${evicted.id})`;
+            }
           }
           
           return {
@@ -827,6 +3215,123 @@ Screen analysis results are automatically stored in working memory and can be us
             }]
           };
           
+        case 'update': {
+          if (!memory_id) {
+            return {
+              content: [{
+                type: 'text',
+                text: 'Error: memory_id required for update action'
+              }]
+            };
+          }
+          
+          const changes = { content, category, priority, tags, persistence };
+          const changed = Object.keys(changes).filter(key => changes[key] !== undefined);
+          if (changed.length === 0) {
+            return {
+              content: [{
+                type: 'text',
+                text: 'Error: update needs at least one of content, category, priority, tags or persistence'
+              }]
+            };
+          }
+          if (category !== undefined && !MEMORY_CATEGORIES.includes(category)) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: category must be one of ${MEMORY_CATEGORIES.join(', ')}`
+              }]
+            };
+          }
+          if (persistence && !PERSISTENCE_LEVELS.includes(persistence)) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: persistence must be one of ${PERSISTENCE_LEVELS.join(', ')}`
+              }]
+            };
+          }
+          
+          const updated = workingMemory.update(memory_id, changes);
+          if (!updated) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Memory not found: ${memory_id}`
+              }]
+            };
+          }
+          
+          return {
+            content: [{
+              type: 'text',
+              text: `✏️ Updated ${changed.join(', ')}:\n[${updated.metaTags.category}] ${updated.content}\nID: ${updated.id}\nPriority: ${updated.priority}, Persistence: ${updated.metaTags.persistence}${updated.systemTags.length > 0 ? `\nTags: ${updated.systemTags.join(', ')}` : ''}${truncationNotice(updated)}`
+            }]
+          };
+        }
+        
+        case 'delete': {
+          if (!memory_id) {
+            return {
+              content: [{
+                type: 'text',
+                text: 'Error: memory_id required for delete action'
+              }]
+            };
+          }
+          
+          const deleted = workingMemory.delete(memory_id);
+          return {
+            content: [{
+              type: 'text',
+              text: deleted
+                ? `🗑️ Deleted: [${deleted.metaTags.category}] ${deleted.content}\n(not archived)`
+                : `Memory not found: ${memory_id}`
+            }]
+          };
+        }
+        
+        case 'pin':
+        case 'unpin': {
+          if (!memory_id) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: memory_id required for ${action} action`
+              }]
+            };
+          }
+          
+          let pinnedMemory;
+          try {
+            pinnedMemory = workingMemory.pin(memory_id, action === 'pin');
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: ${error.message}`
+              }]
+            };
+          }
+          if (!pinnedMemory) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Memory not found: ${memory_id}`
+              }]
+            };
+          }
+          
+          return {
+            content: [{
+              type: 'text',
+              text: action === 'pin'
+                ? `📌 Pinned (never evicted or cleared): [${pinnedMemory.metaTags.category}] ${pinnedMemory.content}`
+                : `Unpinned: [${pinnedMemory.metaTags.category}] ${pinnedMemory.content}`
+            }]
+          };
+        }
+        
         case 'access':
           if (!memory_id) {
             return {
@@ -855,14 +3360,124 @@ Screen analysis results are automatically stored in working memory and can be us
           };
           
         case 'clear':
-          const count = workingMemory.slots.length;
-          workingMemory.slots = [];
+          const archivedBefore = memoryArchive.size;
+          const count = workingMemory.clear();
+          const archivedCount = memoryArchive.size - archivedBefore;
+          return {
+            content: [{
+              type: 'text',
+              text: `Cleared ${count} memories from working memory.${workingMemory.slots.length > 0 ? ` ${workingMemory.slots.length} pinned memories kept.` : ''}${archivedCount > 0 ? `\n📦 ${archivedCount} decisions/insights moved to long-term memory (see recall).` : ''}`
+            }]
+          };
+          
+        case 'recall': {
+          if (memory_id) {
+            const archived = memoryArchive.get(memory_id);
+            if (!archived) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: `Archived memory not found: ${memory_id}`
+                }]
+              };
+            }
+            return {
+              content: [{
+                type: 'text',
+                text: `📦 [${archived.metaTags.category}] ${archived.content}\n\nID: ${archived.id}\nPriority: ${archived.priority}/7\nCreated: ${archived.metadata.created}\nArchived: ${archived.archive.at} (${archived.archive.reason})\n\nUse action "promote" to bring it back into working memory.`
+              }]
+            };
+          }
+          
+          const recent = memoryArchive.recent(limit, category);
+          return {
+            content: [{
+              type: 'text',
+              text: recent.length === 0
+                ? 'Long-term memory is empty.'
+                : `📦 Long-term memory (${recent.length} of ${memoryArchive.size}, most recently archived first):\n\n${recent.map(formatArchived).join('\n\n')}`
+            }]
+          };
+        }
+        
+        case 'search': {
+          if (!query) {
+            return {
+              content: [{
+                type: 'text',
+                text: 'Error: query required for search action'
+              }]
+            };
+          }
+          
+          const { vector, ranked: working, method } = await rankMemories(query, { category, limit });
+          const archived = await rankArchived(query, vector, { category, limit });
+          
+          if (working.length === 0 && archived.length === 0) {
+            return {
+              content: [{
+                type: 'text',
+                text: `No memories match "${query}".\nSearch: ${method}`
+              }]
+            };
+          }
+          
+          let searchText = `🔍 Memories matching "${query}"\nSearch: ${method}\n`;
+          if (working.length > 0) {
+            searchText += `\n## Working memory\n\n${working.map(r => `[${r.memory.metaTags.category}] ${r.memory.content}\n   ID: ${r.memory.id}, Match: ${Math.round(r.score * 100)}%`).join('\n\n')}\n`;
+          }
+          if (archived.length > 0) {
+            searchText += `\n## Long-term memory\n\n${archived.map(r => `${formatArchived(r.memory)}\n   Match: ${Math.round(r.score * 100)}%`).join('\n\n')}\n`;
+          }
+          
+          return {
+            content: [{
+              type: 'text',
+              text: searchText
+            }]
+          };
+        }
+        
+        case 'promote': {
+          if (!memory_id) {
+            return {
+              content: [{
+                type: 'text',
+                text: 'Error: memory_id required for promote action'
+              }]
+            };
+          }
+          
+          const archived = memoryArchive.get(memory_id);
+          if (!archived) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Archived memory not found: ${memory_id}`
+              }]
+            };
+          }
+          
+          // Leave the archive only once the memory has a slot (restore throws when every slot is pinned)
+          let restored;
+          try {
+            restored = workingMemory.restore(archived);
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error: ${error.message}`
+              }]
+            };
+          }
+          memoryArchive.remove(memory_id);
           return {
             content: [{
               type: 'text',
-              text: `Cleared ${count} memories from working memory.`
+              text: `✅ Promoted to working memory:\nID: ${restored.id}\n[${restored.metaTags.category}] ${restored.content}\n\nSlots: ${workingMemory.slots.length}/${workingMemory.maxSlots}`
             }]
           };
+        }
           
         case 'summary':
         default:
@@ -876,8 +3491,18 @@ Screen analysis results are automatically stored in working memory and can be us
     }
     
     case 'elvis_screenshot': {
-      const { filename } = args;
-      const result = await screenControl.takeScreenshot(filename);
+      const { filename, display, all_mode, return_image } = args;
+      const problems = imageOptionProblems(args);
+      if (problems.length > 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Error: ${problems.join('; ')}`
+          }]
+        };
+      }
+      const result = await screenControl.takeScreenshot(filename, { display, allMode: all_mode });
+      if (result.success) notifyResourceListChanged();
       
       if (!result.success) {
         return {
@@ -888,18 +3513,35 @@ Screen analysis results are automatically stored in working memory and can be us
         };
       }
       
-      return {
-        content: [{
-          type: 'text',
-          text: `📸 Screenshot saved!
-\nPath: ${result.path}\nSize: ${(result.size / 1024).toFixed(1)} KB\nTimestamp: ${result.timestamp}`
-        }]
-      };
+      if (result.screenshots) {
+        const lines = result.screenshots.map(s =>
+          `Display ${s.display.id} (${s.display.name}): ${s.path} (${(s.size / 1024).toFixed(1)} KB)`);
+        const text = `📸 ${result.screenshots.length} screenshots saved!\n\n${lines.join('\n')}\nTimestamp: ${result.timestamp}`;
+        return return_image
+          ? imageResult(text, result.screenshots.map(s => s.path), args)
+          : { content: [{ type: 'text', text }] };
+      }
+      
+      const text = `📸 Screenshot saved!
+\nPath: ${result.path}\nDisplay: ${describeDisplay(result.display)}\nSize: ${(result.size / 1024).toFixed(1)} KB\nTimestamp: ${result.timestamp}`;
+      return return_image
+        ? imageResult(text, [result.path], args)
+        : { content: [{ type: 'text', text }] };
     }
     
     case 'elvis_capture_region': {
-      const { x, y, width, height, filename } = args;
+      const { x, y, width, height, filename, return_image } = args;
+      const problems = [...regionProblems(args), ...imageOptionProblems(args)];
+      if (problems.length > 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Error: ${problems.join('; ')}`
+          }]
+        };
+      }
       const result = await screenControl.takeRegionScreenshot(x, y, width, height, filename);
+      if (result.success) notifyResourceListChanged();
       
       if (!result.success) {
         return {
@@ -910,16 +3552,14 @@ Screen analysis results are automatically stored in working memory and can be us
         };
       }
       
-      return {
-        content: [{
-          type: 'text',
-          text: `📸 Region captured!\n\nPath: ${result.path}\nRegion: ${width}x${height} at (${x},${y})\nSize: ${(result.size / 1024).toFixed(1)} KB`
-        }]
-      };
+      const text = `📸 Region captured!\n\nPath: ${result.path}\nRegion: ${width}x${height} at (${x},${y})\nSize: ${(result.size / 1024).toFixed(1)} KB`;
+      return return_image
+        ? imageResult(text, [result.path], args)
+        : { content: [{ type: 'text', text }] };
     }
     
     case 'elvis_analyze_screen': {
-      const { prompt = "What do you see on the screen?", model = 'llava' } = args;
+      const { prompt = "What do you see on the screen?", model = config.screen.visionModel, display, all_mode } = args;
       
       // Store intent in working memory
       workingMemory.add(
@@ -929,7 +3569,7 @@ Screen analysis results are automatically stored in working memory and can be us
         ['screen', 'vision', model]
       );
       
-      const result = await screenControl.captureAndAnalyze(prompt, model);
+      const result = await screenControl.captureAndAnalyze(prompt, model, { display, allMode: all_mode });
       
       if (!result.success) {
         return {
@@ -952,7 +3592,7 @@ Screen analysis results are automatically stored in working memory and can be us
       return {
         content: [{
           type: 'text',
-          text: `🔍 Screen Analysis\n\nPrompt: ${prompt}\nModel: ${model}\n\nAnalysis:\n${result.analysis}\n\n---\nScreenshot size: ${(result.screenshot.size / 1024).toFixed(1)} KB\n\n💾 Analysis stored in working memory`
+          text: `🔍 Screen Analysis\n\nPrompt: ${prompt}\nModel: ${model}\n\nAnalysis:\n${result.analysis}\n\n---\nDisplay: ${describeDisplay(result.screenshot.display)}${result.screenshot.images > 1 ? ` (${result.screenshot.images} images)` : ''}\nScreenshot size: ${(result.screenshot.size / 1024).toFixed(1)} KB\n\n💾 Analysis stored in working memory`
         }]
       };
     }
@@ -972,13 +3612,14 @@ Screen analysis results are automatically stored in working memory and can be us
       return {
         content: [{
           type: 'text',
-          text: `🖥️ Display Information\n\nResolution: ${result.resolution}\nNumber of displays: ${result.displays}`
+          text: `🖥️ Display Information\n\nPrimary resolution: ${result.resolution}\nNumber of displays: ${result.displays}\nCapture backend: ${result.backend}\n\n${result.displayList.map(d => `${d.id}. ${describeDisplay(d)}`).join('\n')}`
         }]
       };
     }
     
     case 'elvis_cleanup_screenshots': {
       const result = await screenControl.cleanup();
+      if (result.success) notifyResourceListChanged();
       
       if (!result.success) {
         return {
@@ -1002,7 +3643,184 @@ Screen analysis results are automatically stored in working memory and can be us
   }
 });
 
-// Start the server
-const transport = new StdioServerTransport();
-server.connect(transport);
-console.error('mcp-elvis-simple MCP server running on stdio');
+// Resources: stored screenshots, task records and working memory
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  const screenshots = await screenControl.listScreenshots();
+  
+  return {
+    resources: [
+      {
+        uri: MEMORY_URI,
+        name: 'Working memory',
+        description: `${workingMemory.slots.length}/${workingMemory.maxSlots} slots in use`,
+        mimeType: 'application/json'
+      },
+      ...Array.from(tasks.values()).map(task => ({
+        uri: taskUri(task.id),
+        name: `Task ${task.id}`,
+        description: `[${task.status}] ${task.task.substring(0, 80)}`,
+        mimeType: 'application/json'
+      })),
+      ...screenshots.map(shot => ({
+        uri: screenshotUri(shot.name),
+        name: shot.name,
+        description: `Screenshot taken ${shot.modified}`,
+        mimeType: /\.png$/i.test(shot.name) ? 'image/png' : 'image/jpeg',
+        size: shot.size
+      }))
+    ]
+  };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: [
+    {
+      uriTemplate: 'elvis://task/{task_id}',
+      name: 'Task record',
+      description: 'Status, result and metadata of a delegated task',
+      mimeType: 'application/json'
+    },
+    {
+      uriTemplate: 'elvis://screenshot/{name}',
+      name: 'Screenshot',
+      description: 'A screenshot file from the ELVIS temp directory'
+    }
+  ]
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  
+  if (uri === MEMORY_URI) {
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify({ maxSlots: workingMemory.maxSlots, memories: workingMemory.list(true) }, null, 2)
+      }]
+    };
+  }
+  
+  const taskMatch = uri.match(/^elvis:\/\/task\/(.+)$/);
+  if (taskMatch) {
+    const task = tasks.get(decodeURIComponent(taskMatch[1]));
+    if (!task) {
+      throw new Error(`Resource not found: ${uri}`);
+    }
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(task, null, 2) }]
+    };
+  }
+  
+  const screenshotMatch = uri.match(/^elvis:\/\/screenshot\/(.+)$/);
+  if (screenshotMatch) {
+    const name = decodeURIComponent(screenshotMatch[1]);
+    let data;
+    try {
+      data = await fs.readFile(screenControl.screenshotPath(name));
+    } catch (error) {
+      throw new Error(`Resource not found: ${uri}`);
+    }
+    return {
+      contents: [{
+        uri,
+        mimeType: /\.png$/i.test(name) ? 'image/png' : 'image/jpeg',
+        blob: data.toString('base64')
+      }]
+    };
+  }
+  
+  throw new Error(`Unknown resource: ${uri}`);
+});
+
+// Subscriptions are kept for the lifetime of the (single, stdio) client connection
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+// Prompts: templates for common delegation workflows
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: listPrompts()
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  const memory = args.use_memory === 'true' && workingMemory.slots.length > 0
+    ? workingMemory.slots.map(m => `- [${m.metaTags.category}] ${m.content}`).join('\n')
+    : null;
+  
+  return getPrompt(name, args, {
+    defaultModel: DEFAULT_MODEL,
+    reviewModel: findInstalledModel('deepseek-r1') || DEFAULT_MODEL,
+    visionModel: config.screen.visionModel,
+    installedModels,
+    memory
+  });
+});
+
+// Start the server once persisted tasks are reloaded
+async function main() {
+  await refreshModels({ refresh: true, notify: false });
+  
+  const { loaded, interrupted } = await tasks.load();
+  for (const task of tasks.values()) {
+    if (task.status === 'completed' && task.duration_ms) {
+      scheduler.recordDuration(task.model, task.duration_ms);
+    }
+  }
+  if (loaded > 0) {
+    console.error(`Restored ${loaded} tasks (${interrupted} marked interrupted)`);
+  }
+  await memoryArchive.load();
+  
+  const { memories, dropped } = await memorySnapshot.load();
+  workingMemory.load(memories);
+  memories.filter(needsEmbedding).forEach(embedMemory);
+  workingMemory.on('change', () => memorySnapshot.save(workingMemory.slots));
+  if (memories.length > 0 || dropped > 0) {
+    console.error(`Restored ${memories.length} persistent memories (${dropped} session memories dropped)`);
+    memorySnapshot.save(workingMemory.slots);
+  }
+
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error('mcp-elvis-simple MCP server running on stdio');
+  
+  // Pick up models pulled or removed while the server runs
+  setInterval(() => {
+    refreshModels({ refresh: true }).catch(error => console.error(`Model refresh failed: ${error.message}`));
+  }, MODEL_REFRESH_INTERVAL_MS).unref();
+}
+
+// Stop a spawned Ollama child and flush task writes before exiting
+let shuttingDown = false;
+async function shutdown(reason) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.error(`Shutting down (${reason})...`);
+  
+  try {
+    await ollamaManager.shutdown();
+    await tasks.flush();
+    await memoryArchive.flush();
+    await memorySnapshot.flush();
+  } catch (error) {
+    console.error(`Error during shutdown: ${error.message}`);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.stdin.on('end', () => shutdown('stdin closed'));
+
+main().catch(error => {
+  console.error('Failed to start mcp-elvis-simple:', error);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+// memory-archive.js - Durable long-term tier for memories evicted from working memory
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Categories worth keeping once they leave working memory
+const ARCHIVE_CATEGORIES = ['decision', 'insight'];
+
+// Lowercase words of 2+ characters, for keyword search
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9][a-z0-9_.-]+/g) || [];
+}
+
+// Keyword search over content and tags; returns [{ memory, score }] best first
+function keywordSearch(memories, query, { category = null, limit = 10 } = {}) {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (terms.length === 0) return [];
+
+  const results = [];
+  for (const memory of memories) {
+    if (category && memory.metaTags.category !== category) continue;
+
+    const words = tokenize(`${memory.content} ${(memory.systemTags || []).join(' ')}`);
+    // Whole-word matches count double; prefixes ("deploy" in "deployment") count once
+    const score = terms.reduce((sum, term) =>
+      sum + (words.includes(term) ? 2 : words.some(w => w.startsWith(term)) ? 1 : 0), 0);
+    if (score > 0) {
+      results.push({ memory, score: score / (terms.length * 2) });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || b.memory.metadata.lastAccessed.localeCompare(a.memory.metadata.lastAccessed))
+    .slice(0, limit);
+}
+
+// Append-only JSON lines log: "archived" adds a memory, "removed" takes one out
+class MemoryArchive {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.memories = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Replay the log and compact it to one line per archived memory
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.event === 'removed') {
+          this.memories.delete(entry.id);
+        } else if (entry.memory && entry.memory.id) {
+          this.memories.set(entry.memory.id, entry.memory);
+        }
+      } catch (error) {
+        // A torn final line from a crash is expected; skip it
+        console.error(`Skipping unreadable memory archive line: ${error.message}`);
+      }
+    }
+
+    await this.compact();
+    return { loaded: this.memories.size };
+  }
+
+  get size() {
+    return this.memories.size;
+  }
+
+  get(memoryId) {
+    return this.memories.get(memoryId) || null;
+  }
+
+  // Store a memory leaving working memory; reason is e.g. "evicted" or "cleared"
+  archive(memory, reason) {
+    const archived = {
+      ...memory,
+      metaTags: { ...memory.metaTags, layer: 'long_term', persistence: 'permanent', status: 'archived' },
+      archive: { reason, at: new Date().toISOString(), persistence: memory.metaTags.persistence }
+    };
+    this.memories.set(archived.id, archived);
+    this.append({ event: 'archived', memory: archived });
+    return archived;
+  }
+
+  // Take a memory out of the archive (e.g. when it is promoted back to working memory)
+  remove(memoryId) {
+    const memory = this.memories.get(memoryId);
+    if (!memory) return null;
+    this.memories.delete(memoryId);
+    this.append({ event: 'removed', id: memoryId });
+    return memory;
+  }
+
+  // Attach an embedding computed after archiving (kept in the log so it survives restarts)
+  setEmbedding(memoryId, vector, model) {
+    const memory = this.memories.get(memoryId);
+    if (!memory) return false;
+    memory.embedding = vector;
+    memory.embeddingModel = model;
+    this.append({ event: 'archived', memory });
+    return true;
+  }
+
+  // Archived memories, optionally of one category
+  list(category = null) {
+    return [...this.memories.values()].filter(m => !category || m.metaTags.category === category);
+  }
+
+  // Most recently archived first (ties in the same millisecond by insertion order)
+  recent(limit = 10, category = null) {
+    return this.list(category)
+      .reverse()
+      .sort((a, b) => b.archive.at.localeCompare(a.archive.at))
+      .slice(0, limit);
+  }
+
+  // Keyword search over the archive (see keywordSearch)
+  search(query, options = {}) {
+    return keywordSearch(this.list(), query, options);
+  }
+
+  append(entry) {
+    const line = JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n';
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.filePath, line))
+      .catch(error => console.error(`Failed to write memory archive: ${error.message}`));
+  }
+
+  // Rewrite the log with one line per memory (atomic via rename)
+  async compact() {
+    const lines = [...this.memories.values()]
+      .map(memory => JSON.stringify({ event: 'archived', at: memory.archive.at, memory }))
+      .join('\n');
+    const tmpPath = `${this.filePath}.tmp`;
+
+    await fs.writeFile(tmpPath, lines ? lines + '\n' : '');
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = { MemoryArchive, ARCHIVE_CATEGORIES, keywordSearch };
@@ -0,0 +1,40 @@
+// memory-injection.js - Pick relevant memories to prepend to a delegated prompt
+
+const { estimateTokens } = require('./chat-sessions.js');
+
+const MEMORY_HEADER = 'Relevant memories from earlier work (use them if they apply):';
+
+// Memory lines as they appear in the prompt
+function formatMemoryLine(memory) {
+  return `- [${memory.metaTags.category}] ${memory.content}`;
+}
+
+// From [{ memory, score }] (best first), keep those at or above threshold that fit in tokenBudget
+// Returns { selected: [{ memory, score }], skipped } where skipped counts relevant ones over budget
+function selectMemories(candidates, { threshold = 0.5, tokenBudget = 512 } = {}) {
+  const header = estimateTokens(MEMORY_HEADER);
+  let used = header;
+  const selected = [];
+  let skipped = 0;
+
+  for (const candidate of candidates) {
+    if (candidate.score < threshold) continue;
+    const cost = estimateTokens(formatMemoryLine(candidate.memory)) + 1;
+    if (used + cost > tokenBudget) {
+      skipped++;
+      continue;
+    }
+    used += cost;
+    selected.push(candidate);
+  }
+
+  return { selected, skipped };
+}
+
+// Block prepended to the prompt ('' when nothing was selected)
+function formatMemoryContext(selected) {
+  if (selected.length === 0) return '';
+  return `${MEMORY_HEADER}\n${selected.map(s => formatMemoryLine(s.memory)).join('\n')}`;
+}
+
+module.exports = { selectMemories, formatMemoryContext };
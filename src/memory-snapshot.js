@@ -0,0 +1,84 @@
+// memory-snapshot.js - Crash-safe snapshots of working memory slots
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// metaTags.persistence levels: "session" memories are dropped on restart, "persistent" ones kept
+const PERSISTENCE_LEVELS = ['session', 'persistent'];
+
+class MemorySnapshot {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = null; // latest slots waiting to be written
+    this.writing = null; // promise for the write in progress
+  }
+
+  // Memories to restore: the persistent ones from the last snapshot
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { memories: [], dropped: 0 };
+      throw error;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(raw);
+    } catch (error) {
+      // Writes go through rename, so this is a hand-edited or foreign file; start empty
+      console.error(`Ignoring unreadable working memory snapshot ${this.filePath}: ${error.message}`);
+      return { memories: [], dropped: 0 };
+    }
+
+    const slots = Array.isArray(snapshot.slots) ? snapshot.slots : [];
+    const memories = slots.filter(m => m && m.metaTags && m.metaTags.persistence === 'persistent');
+    return { memories, dropped: slots.length - memories.length };
+  }
+
+  // Queue a snapshot; while one is being written only the newest state is kept
+  save(slots) {
+    this.pending = JSON.stringify({ saved: new Date().toISOString(), slots }, null, 2);
+    if (!this.writing) {
+      this.writing = this.drain();
+    }
+    return this.writing;
+  }
+
+  async drain() {
+    try {
+      while (this.pending !== null) {
+        const data = this.pending;
+        this.pending = null;
+        await this.write(data).catch(error =>
+          console.error(`Failed to save working memory snapshot: ${error.message}`));
+      }
+    } finally {
+      this.writing = null;
+    }
+  }
+
+  // Write to a temp file, fsync, then rename over the snapshot so a crash leaves the old or new file whole
+  async write(data) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async flush() {
+    while (this.writing) {
+      await this.writing;
+    }
+  }
+}
+
+module.exports = { MemorySnapshot, PERSISTENCE_LEVELS };
@@ -3,15 +3,31 @@
 // Add this to ELVIS to track model reliability
 
 class ModelHealthTracker {
-  constructor() {
-    this.health = {
-      'llama3.2': { failures: 0, successes: 0, status: 'active' },
-      'deepseek-r1': { failures: 0, successes: 0, status: 'active' },
-      'mixtral': { failures: 0, successes: 0, status: 'disabled' }, // Known to be unavailable
-      'gemma:2b': { failures: 0, successes: 0, status: 'limited' },
-      'phi3:mini': { failures: 0, successes: 0, status: 'active' }
+  constructor(models = [], options = {}) {
+    this.health = {};
+    this.syncModels(models);
+    this.circuitBreaker = {
+      threshold: options.failureThreshold || 3,
+      window: options.windowMs !== undefined ? options.windowMs : 86400000 // 24 hours
     };
-    this.circuitBreaker = { threshold: 3, window: 86400000 }; // 24 hours
+    this.fallbackChain = options.fallbackChain || ['llama3.2', 'phi3:mini', 'gemma:2b'];
+  }
+  
+  // Track exactly the installed models, keeping stats for ones we already know
+  syncModels(models) {
+    const installed = new Set(models);
+    
+    for (const model of installed) {
+      if (!this.health[model]) {
+        this.health[model] = { failures: 0, successes: 0, status: 'active', compared: 0, wins: 0 };
+      }
+    }
+    
+    for (const model of Object.keys(this.health)) {
+      if (!installed.has(model)) {
+        delete this.health[model];
+      }
+    }
   }
   
   recordSuccess(model) {
@@ -19,6 +35,7 @@ class ModelHealthTracker {
       this.health[model].successes++;
       this.health[model].failures = 0;
       this.health[model].status = 'active';
+      this.health[model].disabledAt = null;
       this.health[model].lastCheck = new Date();
     }
   }
@@ -28,34 +45,106 @@ class ModelHealthTracker {
       this.health[model].failures++;
       this.health[model].lastCheck = new Date();
       
-      if (this.health[model].failures >= this.circuitBreaker.threshold) {
+      // A failed half-open probe re-opens the circuit immediately
+      if (this.health[model].status === 'half-open' ||
+          this.health[model].failures >= this.circuitBreaker.threshold) {
         this.health[model].status = 'disabled';
+        this.health[model].disabledAt = new Date();
         console.error(`Model ${model} disabled after ${this.health[model].failures} failures`);
       }
     }
   }
   
+  // Record a failed task; errors flagged modelResponded (the model answered, e.g. a reply
+  // that failed response_schema validation) leave the model's health untouched
+  recordError(model, error) {
+    if (error && error.modelResponded) return;
+    this.recordFailure(model);
+  }
+  
+  // Record a judged comparison; ranking lists models best first
+  recordComparison(ranking) {
+    ranking.forEach((model, i) => {
+      const h = this.health[model];
+      if (!h) return;
+      h.compared = (h.compared || 0) + 1;
+      if (i === 0) h.wins = (h.wins || 0) + 1;
+    });
+  }
+  
+  // Move disabled models to half-open once the circuit breaker window has passed
+  checkCircuit(model) {
+    const h = this.health[model];
+    if (!h || h.status !== 'disabled' || !h.disabledAt) return;
+    
+    if (Date.now() - new Date(h.disabledAt).getTime() >= this.circuitBreaker.window) {
+      h.status = 'half-open';
+      console.error(`Model ${model} half-open: next delegation will re-probe it`);
+    }
+  }
+  
   isHealthy(model) {
+    this.checkCircuit(model);
     return !this.health[model] || this.health[model].status === 'active';
   }
   
+  // Anything not behind an open circuit may be used (half-open models get a probe)
+  isAvailable(model) {
+    this.checkCircuit(model);
+    return !this.health[model] || this.health[model].status !== 'disabled';
+  }
+  
+  // Position in the fallback chain (models outside it rank last)
+  chainRank(model) {
+    const index = this.fallbackChain.indexOf(model);
+    return index === -1 ? this.fallbackChain.length : index;
+  }
+  
   getBestModel() {
+    Object.keys(this.health).forEach(model => this.checkCircuit(model));
+    
     const active = Object.entries(this.health)
       .filter(([_, h]) => h.status === 'active')
-      .sort(([_, a], [__, b]) => {
+      .sort(([aModel, a], [bModel, b]) => {
         const aRate = a.successes / (a.successes + a.failures || 1);
         const bRate = b.successes / (b.successes + b.failures || 1);
-        return bRate - aRate;
+        // Ties (e.g. no history yet) go to the model earliest in the fallback chain
+        return bRate - aRate || this.chainRank(aModel) - this.chainRank(bModel);
       });
     
-    return active.length > 0 ? active[0][0] : 'llama3.2';
+    if (active.length > 0) return active[0][0];
+    return this.fallbackChain.find(m => this.health[m]) || Object.keys(this.health)[0] || 'llama3.2';
+  }
+  
+  // Pick the model to run: "auto" uses getBestModel(), disabled models fall back along the chain
+  resolveModel(requested) {
+    if (!requested || requested === 'auto') {
+      return { model: this.getBestModel(), requested: 'auto', fallback: false };
+    }
+    
+    if (this.isAvailable(requested)) {
+      return { model: requested, requested, fallback: false };
+    }
+    
+    const next = this.fallbackChain.find(m => m !== requested && this.health[m] && this.isAvailable(m));
+    return {
+      model: next || this.getBestModel(),
+      requested,
+      fallback: true,
+      reason: `${requested} is disabled by the circuit breaker`
+    };
   }
   
   getStatus() {
+    Object.keys(this.health).forEach(model => this.checkCircuit(model));
+    
     return Object.entries(this.health).map(([model, h]) => ({
       model,
       ...h,
-      successRate: h.successes / (h.successes + h.failures || 1)
+      successRate: h.successes / (h.successes + h.failures || 1),
+      reprobeAt: h.status === 'disabled' && h.disabledAt
+        ? new Date(new Date(h.disabledAt).getTime() + this.circuitBreaker.window)
+        : null
     }));
   }
 }
@@ -0,0 +1,281 @@
+// ollama-launchers.js - Start strategies for the Ollama server
+
+const { exec, spawn } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const execAsync = promisify(exec);
+
+// macOS: load a launchd agent plist
+class LaunchdLauncher {
+  constructor(options = {}) {
+    this.name = 'launchd';
+    this.plistPath = options.plistPath ||
+      path.join(os.homedir(), 'Library', 'LaunchAgents', 'com.ollama.server.plist');
+  }
+
+  async isAvailable() {
+    return process.platform === 'darwin' && fs.existsSync(this.plistPath);
+  }
+
+  // Check if launchd service is loaded
+  async isServiceLoaded() {
+    try {
+      const { stdout } = await execAsync('launchctl list | grep ollama');
+      return stdout.includes('com.ollama.server');
+    } catch (error) {
+      // grep returns exit code 1 if no matches found
+      return false;
+    }
+  }
+
+  async start() {
+    if (await this.isServiceLoaded()) {
+      return { success: true };
+    }
+
+    console.error('Loading Ollama launchd service...');
+    try {
+      await execAsync(`launchctl load "${this.plistPath}"`);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: `Failed to load service: ${error.message}` };
+    }
+  }
+
+  async stop() {}
+
+  async getStatus() {
+    return { plistPath: this.plistPath, serviceLoaded: await this.isServiceLoaded() };
+  }
+}
+
+// Linux: start a systemd user unit
+class SystemdLauncher {
+  constructor(options = {}) {
+    this.name = 'systemd';
+    this.unit = options.systemdUnit || 'ollama.service';
+  }
+
+  async isAvailable() {
+    if (process.platform !== 'linux') return false;
+    try {
+      await execAsync(`systemctl --user cat "${this.unit}"`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async start() {
+    console.error(`Starting systemd user unit ${this.unit}...`);
+    try {
+      await execAsync(`systemctl --user start "${this.unit}"`);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: `Failed to start ${this.unit}: ${error.message}` };
+    }
+  }
+
+  async stop() {}
+
+  async getStatus() {
+    try {
+      const { stdout } = await execAsync(`systemctl --user is-active "${this.unit}"`);
+      return { unit: this.unit, active: stdout.trim() };
+    } catch (error) {
+      // is-active exits non-zero for inactive units but still prints the state
+      return { unit: this.unit, active: (error.stdout || 'unknown').trim() };
+    }
+  }
+}
+
+// Any platform: run `ollama serve` as a supervised child process
+class SpawnLauncher {
+  constructor(options = {}) {
+    this.name = 'spawn';
+    this.binary = options.binary || 'ollama';
+    this.host = options.host || 'localhost';
+    this.port = options.port || 11434;
+    this.logFile = options.logFile || null;
+    this.maxRestarts = 3;
+    this.restartWindow = 60000; // restarts counted per minute
+    this.logLines = [];
+    this.maxLogLines = 200;
+    this.child = null;
+    this.restarts = [];
+    this.stopping = false;
+  }
+
+  async isAvailable() {
+    try {
+      const lookup = process.platform === 'win32' ? 'where' : 'command -v';
+      await execAsync(`${lookup} ${this.binary}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async start() {
+    if (this.child) {
+      return { success: true };
+    }
+
+    this.stopping = false;
+    try {
+      this.spawnChild();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: `Failed to spawn ${this.binary}: ${error.message}` };
+    }
+  }
+
+  spawnChild() {
+    console.error(`Spawning "${this.binary} serve"...`);
+
+    const child = spawn(this.binary, ['serve'], {
+      env: { ...process.env, OLLAMA_HOST: `${this.host}:${this.port}` },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let logStream = null;
+    if (this.logFile) {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      logStream = fs.createWriteStream(this.logFile, { flags: 'a' });
+      logStream.on('error', error => console.error(`Cannot write Ollama log: ${error.message}`));
+    }
+
+    const capture = (data) => {
+      if (logStream) logStream.write(data);
+      for (const line of data.toString().split('\n')) {
+        if (!line.trim()) continue;
+        this.logLines.push(line);
+        if (this.logLines.length > this.maxLogLines) this.logLines.shift();
+      }
+    };
+
+    child.stdout.on('data', capture);
+    child.stderr.on('data', capture);
+
+    // A spawn failure (e.g. ENOENT) emits 'error' without 'exit'; forget the child so start() tries again
+    child.on('error', (error) => {
+      console.error(`ollama serve failed: ${error.message}`);
+      if (this.child === child) this.child = null;
+    });
+
+    child.on('exit', (code, signal) => {
+      if (logStream) logStream.end();
+      if (this.child === child) this.child = null;
+      if (this.stopping) return;
+
+      console.error(`ollama serve exited unexpectedly (code ${code}, signal ${signal})`);
+      this.restartChild();
+    });
+
+    this.child = child;
+  }
+
+  // Restart a crashed child, giving up after too many restarts in the window
+  restartChild() {
+    const now = Date.now();
+    this.restarts = this.restarts.filter(t => now - t < this.restartWindow);
+
+    if (this.restarts.length >= this.maxRestarts) {
+      console.error(`ollama serve crashed ${this.restarts.length} times in a minute; not restarting`);
+      return;
+    }
+
+    this.restarts.push(now);
+    setTimeout(() => {
+      if (!this.stopping && !this.child) this.spawnChild();
+    }, 1000 * this.restarts.length).unref();
+  }
+
+  // Terminate the child we started, escalating to SIGKILL after a grace period
+  async stop() {
+    this.stopping = true;
+    const child = this.child;
+    if (!child) return;
+
+    await new Promise(resolve => {
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+    this.child = null;
+  }
+
+  async getStatus() {
+    return {
+      binary: this.binary,
+      pid: this.child ? this.child.pid : null,
+      restarts: this.restarts.length,
+      logFile: this.logFile,
+      recentLog: this.logLines.slice(-10)
+    };
+  }
+}
+
+// Ollama is managed elsewhere; never try to start it
+class ExternalLauncher {
+  constructor() {
+    this.name = 'external';
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async start() {
+    return {
+      success: false,
+      error: 'Ollama is not running and lifecycle mode is "external" (start it yourself)'
+    };
+  }
+
+  async stop() {}
+
+  async getStatus() {
+    return {};
+  }
+}
+
+const LAUNCHERS = {
+  launchd: LaunchdLauncher,
+  systemd: SystemdLauncher,
+  spawn: SpawnLauncher,
+  external: ExternalLauncher
+};
+
+// Build the configured launcher, or probe launchd → systemd → spawn → external for "auto"
+async function createLauncher(mode = 'auto', options = {}) {
+  if (mode !== 'auto') {
+    const Launcher = LAUNCHERS[mode];
+    if (!Launcher) {
+      throw new Error(`Unknown Ollama lifecycle mode "${mode}" (expected auto, ${Object.keys(LAUNCHERS).join(', ')})`);
+    }
+    return new Launcher(options);
+  }
+
+  for (const Launcher of [LaunchdLauncher, SystemdLauncher, SpawnLauncher]) {
+    const launcher = new Launcher(options);
+    if (await launcher.isAvailable()) {
+      return launcher;
+    }
+  }
+  return new ExternalLauncher(options);
+}
+
+module.exports = {
+  LaunchdLauncher,
+  SystemdLauncher,
+  SpawnLauncher,
+  ExternalLauncher,
+  createLauncher
+};
@@ -1,17 +1,44 @@
 // ollama-manager.js - Auto-start and health check for Ollama
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { createLauncher } = require('./ollama-launchers.js');
 
-const execAsync = promisify(exec);
+// Model families that only produce embeddings (/api/generate and /api/chat fail on them)
+const EMBEDDING_FAMILIES = ['bert', 'nomic-bert'];
 
 class OllamaManager {
-  constructor() {
-    this.host = 'localhost';
-    this.port = 11434;
+  // options mirror the "ollama" config section (see config.js)
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.port = options.port || 11434;
     this.baseUrl = `http://${this.host}:${this.port}`;
-    this.plistPath = '/Users/bard/Library/LaunchAgents/com.ollama.server.plist';
-    this.maxStartupTime = 30000; // 30 seconds
+    this.apiKey = options.apiKey || null; // for an authenticating proxy in front of Ollama
+    this.lifecycle = options.lifecycle || 'auto';
+    this.launcherOptions = {
+      host: this.host,
+      port: this.port,
+      plistPath: options.plistPath,
+      systemdUnit: options.systemdUnit,
+      binary: options.binary,
+      logFile: options.logFile
+    };
+    this.launcher = null;
+    this.launcherPromise = null;
+    this.maxStartupTime = options.startupTimeoutMs || 30000; // 30 seconds
+    this.modelCacheTtl = options.modelCacheTtlMs !== undefined ? options.modelCacheTtlMs : 60000; // 1 minute
+    this.modelCache = null; // { models, fetchedAt }
+    this.modelRetryDelay = 10000; // after a failed /api/tags, serve the last list this long before asking again
+    this.modelFailedAt = 0;
+    this.modelFetch = null; // /api/tags request in flight, shared by concurrent callers
+    this.contextLengths = new Map(); // model -> context length from /api/show
+  }
+
+  // Request headers for the Ollama API
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
   }
 
   // Check if Ollama is running and responding
@@ -19,6 +46,7 @@ class OllamaManager {
     try {
       const response = await fetch(`${this.baseUrl}/api/version`, {
         method: 'GET',
+        headers: this.headers(),
         signal: AbortSignal.timeout(5000) // 5 second timeout
       });
       
@@ -32,25 +60,17 @@ class OllamaManager {
     }
   }
 
-  // Check if launchd service is loaded
-  async isServiceLoaded() {
-    try {
-      const { stdout } = await execAsync('launchctl list | grep ollama');
-      return stdout.includes('com.ollama.server');
-    } catch (error) {
-      // grep returns exit code 1 if no matches found
-      return false;
-    }
-  }
-
-  // Load the launchd service
-  async loadService() {
-    try {
-      await execAsync(`launchctl load "${this.plistPath}"`);
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
+  // Resolve the start strategy once (auto-detection probes the system)
+  async getLauncher() {
+    if (!this.launcherPromise) {
+      this.launcherPromise = createLauncher(this.lifecycle, this.launcherOptions)
+        .then(launcher => {
+          console.error(`Ollama lifecycle: ${launcher.name}`);
+          this.launcher = launcher;
+          return launcher;
+        });
     }
+    return this.launcherPromise;
   }
 
   // Start Ollama if not running
@@ -67,22 +87,19 @@ class OllamaManager {
     }
 
     console.error(`Ollama not responding: ${status.error}`);
-    console.error('Attempting to start Ollama service...');
 
-    // Check if service is loaded
-    const isLoaded = await this.isServiceLoaded();
+    const launcher = await this.getLauncher();
+    if (launcher.name !== 'external') {
+      console.error(`Attempting to start Ollama via ${launcher.name}...`);
+    }
     
-    if (!isLoaded) {
-      console.error('Loading Ollama launchd service...');
-      const loadResult = await this.loadService();
-      
-      if (!loadResult.success) {
-        return {
-          success: false,
-          error: `Failed to load service: ${loadResult.error}`,
-          action: 'load_failed'
-        };
-      }
+    const startResult = await launcher.start();
+    if (!startResult.success) {
+      return {
+        success: false,
+        error: startResult.error,
+        action: 'start_failed'
+      };
     }
 
     // Wait for Ollama to start
@@ -113,7 +130,28 @@ class OllamaManager {
   }
 
   // Enhanced call to Ollama with auto-start
-  async callOllama(prompt, model = 'llama3.2', images = []) {
+  // options.signal aborts the in-flight request
+  // options.onChunk(text, stats) switches to a streaming request
+  // options.modelOptions (e.g. { temperature, num_ctx }) and options.format ("json") are passed through to Ollama
+  async callOllama(prompt, model = 'llama3.2', images = [], options = {}) {
+    const body = { model, prompt };
+    
+    // Add images if provided (for vision models)
+    if (images && images.length > 0) {
+      body.images = images;
+    }
+    
+    return this.request('/api/generate', body, options);
+  }
+
+  // Multi-turn chat via /api/chat; messages are { role, content } with role system, user or assistant
+  // options as for callOllama
+  async callChat(messages, model = 'llama3.2', options = {}) {
+    return this.request('/api/chat', { model, messages }, options);
+  }
+
+  // POST a generate/chat request, starting Ollama first if needed
+  async request(endpoint, body, options = {}) {
     // Ensure Ollama is running
     const startupResult = await this.ensureRunning();
     if (!startupResult.success) {
@@ -126,52 +164,221 @@ class OllamaManager {
     }
 
     try {
-      const body = {
-        model,
-        prompt,
-        stream: false
-      };
-      
-      // Add images if provided (for vision models)
-      if (images && images.length > 0) {
-        body.images = images;
+      const streaming = typeof options.onChunk === 'function';
+      const payload = { ...body, stream: streaming };
+      if (options.modelOptions) {
+        payload.options = options.modelOptions;
+      }
+      if (options.format) {
+        payload.format = options.format;
       }
       
-      const response = await fetch(`${this.baseUrl}/api/generate`, {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        headers: this.headers(),
+        body: JSON.stringify(payload),
+        signal: options.signal
       });
       
       if (!response.ok) {
         throw new Error(`Ollama error: ${response.statusText}`);
       }
       
-      const data = await response.json();
+      const data = streaming
+        ? await this.readStream(response, options.onChunk)
+        : await response.json();
+      
       return {
-        response: data.response,
+        response: data.message ? data.message.content : data.response,
+        stats: {
+          eval_count: data.eval_count || null,
+          prompt_eval_count: data.prompt_eval_count || null,
+          total_duration: data.total_duration || null
+        },
         startup: startupResult.action !== 'already_running' ? startupResult : null
       };
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       throw new Error(`Failed to call Ollama: ${error.message}`);
     }
   }
 
+  // Consume Ollama's NDJSON stream, reporting each chunk as it arrives
+  async readStream(response, onChunk) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let chunks = 0;
+    let final = {};
+    
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const data = JSON.parse(line);
+      
+      if (data.error) {
+        throw new Error(`Ollama error: ${data.error}`);
+      }
+      
+      // /api/generate streams "response", /api/chat streams "message.content"
+      const piece = data.message ? data.message.content : data.response;
+      if (piece) {
+        text += piece;
+        chunks++;
+        onChunk(piece, { chunks });
+      }
+      
+      if (data.done) {
+        final = data;
+      }
+    };
+    
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        handleLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    }
+    handleLine(buffer + decoder.decode());
+    
+    return { ...final, message: undefined, response: text };
+  }
+
+  // List installed models via /api/tags (cached; ":latest" tags are shortened)
+  async listModels({ refresh = false } = {}) {
+    if (!refresh) {
+      if (this.modelCache && Date.now() - this.modelCache.fetchedAt < this.modelCacheTtl) {
+        return this.modelCache.models;
+      }
+      // Ollama was unreachable moments ago; don't make every tools/list wait out the timeout again
+      if (Date.now() - this.modelFailedAt < this.modelRetryDelay) {
+        return this.modelCache ? this.modelCache.models : [];
+      }
+    }
+    
+    if (!this.modelFetch) {
+      this.modelFetch = this.fetchModels().finally(() => {
+        this.modelFetch = null;
+      });
+    }
+    return this.modelFetch;
+  }
+
+  async fetchModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/tags`, {
+        method: 'GET',
+        headers: this.headers(),
+        signal: AbortSignal.timeout(5000)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const data = await response.json();
+      const name = m => (m.name || m.model).replace(/:latest$/, '');
+      const models = (data.models || []).map(name).sort();
+      const embeddingModels = (data.models || [])
+        .filter(m => m.details && EMBEDDING_FAMILIES.includes(m.details.family))
+        .map(name);
+      
+      this.modelCache = { models, embeddingModels, fetchedAt: Date.now() };
+      this.modelFailedAt = 0;
+      return models;
+    } catch (error) {
+      // Keep serving the last known list while Ollama is unreachable
+      console.error(`Failed to list Ollama models: ${error.message}`);
+      this.modelFailedAt = Date.now();
+      return this.modelCache ? this.modelCache.models : [];
+    }
+  }
+
+  // Installed models that only produce embeddings, from the last /api/tags
+  getEmbeddingModels() {
+    return this.modelCache ? this.modelCache.embeddingModels : [];
+  }
+
+  // Embedding vector for text via /api/embeddings
+  // Never starts Ollama: callers fall back to keyword search, which beats waiting out a startup
+  async embed(text, model) {
+    const status = await this.isRunning();
+    if (!status.running) {
+      throw new Error(`Ollama is not running: ${status.error}`);
+    }
+    
+    const response = await fetch(`${this.baseUrl}/api/embeddings`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ model, prompt: text }),
+      signal: AbortSignal.timeout(30000)
+    });
+    if (!response.ok) {
+      throw new Error(`Ollama error: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+      throw new Error(`${model} returned no embedding (is it an embedding model?)`);
+    }
+    return data.embedding;
+  }
+
+  // Maximum context length a model supports (from /api/show), or null if unknown
+  async getContextLength(model) {
+    if (this.contextLengths.has(model)) {
+      return this.contextLengths.get(model);
+    }
+    
+    try {
+      const response = await fetch(`${this.baseUrl}/api/show`, {
+        method: 'POST',
+        headers: this.headers(),
+        body: JSON.stringify({ model }),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const data = await response.json();
+      // Keys are architecture-specific, e.g. "llama.context_length"
+      const key = Object.keys(data.model_info || {}).find(k => k.endsWith('.context_length'));
+      const length = key ? data.model_info[key] : null;
+      this.contextLengths.set(model, length);
+      return length;
+    } catch (error) {
+      console.error(`Failed to read context length for ${model}: ${error.message}`);
+      return null;
+    }
+  }
+
   // Get health status for diagnostics
   async getHealthStatus() {
     const running = await this.isRunning();
-    const serviceLoaded = await this.isServiceLoaded();
+    const launcher = await this.getLauncher();
     
     return {
       timestamp: new Date().toISOString(),
       running: running.running,
       version: running.version || null,
       error: running.error || null,
-      serviceLoaded,
       baseUrl: this.baseUrl,
-      plistPath: this.plistPath
+      lifecycle: launcher.name,
+      launcher: await launcher.getStatus()
     };
   }
+
+  // Stop anything we started (only a spawned child is ours to stop)
+  async shutdown() {
+    if (this.launcher) {
+      await this.launcher.stop();
+    }
+  }
 }
 
 module.exports = OllamaManager;
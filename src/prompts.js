@@ -0,0 +1,167 @@
+// prompts.js - MCP prompt templates for common delegation workflows
+
+// Each template expands into a user message telling the client which ELVIS tools to call.
+// options passed to build(): { defaultModel, reviewModel, visionModel, installedModels, memory (text or null) }
+const PROMPTS = {
+  code_review: {
+    description: 'Review code for bugs, performance and error handling with a reasoning model',
+    arguments: [
+      { name: 'code', description: 'The code to review', required: true },
+      { name: 'language', description: 'Programming language (used for the code fence)' },
+      { name: 'focus', description: 'What to focus on (default: bugs, performance and error handling)' },
+      { name: 'model', description: 'Model to delegate to (default: deepseek-r1 if installed)' },
+      { name: 'use_memory', description: '"true" to pass working memory along as context' }
+    ],
+    build(args, options) {
+      const focus = args.focus || 'Focus on bugs, performance and error handling';
+      return [
+        'Delegate a code review to ELVIS and report the findings.',
+        '',
+        callStep(1, 'elvis_delegate', {
+          task: `Review this code for potential bugs and optimizations:\n\n\`\`\`${args.language || ''}\n${args.code}\n\`\`\``,
+          model: args.model || options.reviewModel,
+          context: withMemory(focus, options.memory)
+        }),
+        '2. Poll elvis_status with the returned task_id until it is completed (or use elvis_peek to watch).',
+        '3. Fetch the review with elvis_result and present the issues found, most severe first, with suggested fixes.'
+      ].join('\n');
+    }
+  },
+
+  summarize: {
+    description: 'Summarize a piece of text with a local model',
+    arguments: [
+      { name: 'text', description: 'The text to summarize', required: true },
+      { name: 'length', description: 'short, medium or long (default: short)' },
+      { name: 'audience', description: 'Who the summary is for' },
+      { name: 'model', description: 'Model to delegate to' },
+      { name: 'use_memory', description: '"true" to pass working memory along as context' }
+    ],
+    build(args, options) {
+      const length = { short: 'in 2-3 sentences', medium: 'in one paragraph', long: 'in a few paragraphs with key points as bullets' }[args.length || 'short'] || 'in 2-3 sentences';
+      const audience = args.audience ? ` for ${args.audience}` : '';
+      return [
+        'Summarize the text below using ELVIS.',
+        '',
+        callStep(1, 'elvis_delegate', {
+          task: `Summarize the following text ${length}${audience}:\n\n${args.text}`,
+          model: args.model || options.defaultModel,
+          context: withMemory('', options.memory)
+        }),
+        '2. Wait for the task with elvis_status, then return the elvis_result text as the summary.'
+      ].join('\n');
+    }
+  },
+
+  explain_screen_error: {
+    description: 'Read an error shown on screen with a vision model, then delegate an explanation and fix',
+    arguments: [
+      { name: 'display', description: 'Display id or name from elvis_screen_info (default: primary)' },
+      { name: 'hint', description: 'Where the error is or what you were doing' },
+      { name: 'model', description: 'Model for the explanation' },
+      { name: 'use_memory', description: '"true" to pass working memory along as context' }
+    ],
+    build(args, options) {
+      const hint = args.hint ? ` (${args.hint})` : '';
+      return [
+        'Find the error on my screen and explain how to fix it.',
+        '',
+        callStep(1, 'elvis_analyze_screen', {
+          prompt: `Transcribe any error message, stack trace or warning visible on screen${hint}, word for word, and name the application showing it.`,
+          model: options.visionModel,
+          display: args.display
+        }),
+        callStep(2, 'elvis_delegate', {
+          task: 'Explain the cause of this error and give concrete steps to fix it.',
+          model: args.model || options.defaultModel,
+          context: withMemory('<the transcription from step 1>', options.memory)
+        }),
+        '3. Wait for the task with elvis_status, then present the explanation and fix from elvis_result.'
+      ].join('\n');
+    }
+  },
+
+  compare_answers: {
+    description: 'Ask several models the same question and compare their answers',
+    arguments: [
+      { name: 'question', description: 'The question to ask every model', required: true },
+      { name: 'models', description: 'Comma-separated models, at least two (default: the installed generation models, up to 3)' },
+      { name: 'judge_model', description: 'Model that ranks the answers (default: compare them yourself)' },
+      { name: 'use_memory', description: '"true" to pass working memory along as context' }
+    ],
+    build(args, options) {
+      const listed = args.models
+        ? args.models.split(',').map(m => m.trim()).filter(Boolean)
+        : options.installedModels.slice(0, 3);
+      const models = Array.from(new Set(listed.length > 0 ? listed : [options.defaultModel]));
+
+      // elvis_compare rejects a single model; say so instead of scripting a call that fails
+      if (models.length < 2) {
+        return [
+          `Comparing answers needs at least two generation models, but only ${models[0]} is ${args.models ? 'listed' : 'installed'}.`,
+          '',
+          'Pull a second model (for example "ollama pull phi3:mini") or pass two or more models, then use this prompt again.',
+          `Until then, ask ${models[0]} with elvis_delegate: ${JSON.stringify(args.question)}`
+        ].join('\n');
+      }
+      return [
+        `Ask ${models.join(', ')} the same question through ELVIS and compare the answers.`,
+        '',
+        callStep(1, 'elvis_compare', {
+          task: args.question,
+          models,
+          context: withMemory('', options.memory),
+          judge_model: args.judge_model
+        }),
+        '2. Poll elvis_compare_result with the returned comparison_id until every answer (and the judge, if any) is in.',
+        args.judge_model
+          ? '3. Present the judge\'s ranking and explain where the answers agree and differ.'
+          : '3. Compare the answers: where they agree, where they differ, and which is most accurate and why.'
+      ].join('\n');
+    }
+  }
+};
+
+// Append working memory to a context string
+function withMemory(context, memory) {
+  if (!memory) return context || undefined;
+  return context ? `${context}\n\nWorking memory:\n${memory}` : `Working memory:\n${memory}`;
+}
+
+// "N. Call tool with {args}", leaving out unset arguments
+function callStep(number, tool, args) {
+  const defined = Object.fromEntries(Object.entries(args).filter(([_, v]) => v !== undefined && v !== ''));
+  return `${number}. Call ${tool} with:\n${JSON.stringify(defined, null, 2)}`;
+}
+
+// MCP prompts/list entries
+function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, prompt]) => ({
+    name,
+    description: prompt.description,
+    arguments: prompt.arguments.map(a => ({ name: a.name, description: a.description, required: Boolean(a.required) }))
+  }));
+}
+
+// MCP prompts/get result; throws on unknown prompts or missing required arguments
+function getPrompt(name, args = {}, options = {}) {
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${name} is missing required arguments: ${missing.join(', ')}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text: prompt.build(args, { installedModels: [], ...options }) }
+    }]
+  };
+}
+
+module.exports = { PROMPTS, listPrompts, getPrompt };
@@ -0,0 +1,319 @@
+// screen-backends.js - Platform-specific screen capture and display info
+
+const { exec, execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Capture commands take argument arrays rather than shell strings, so paths
+// and coordinates from tool arguments are never parsed by a shell
+
+// True if a command exists on PATH
+async function hasCommand(command) {
+  try {
+    await execAsync(`command -v ${command}`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Run `producer | consumer` without a shell; each is [command, args]
+function pipeCommands([producer, producerArgs], [consumer, consumerArgs]) {
+  return new Promise((resolve, reject) => {
+    const source = spawn(producer, producerArgs, { stdio: ['ignore', 'pipe', 'ignore'] });
+    const sink = spawn(consumer, consumerArgs, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    source.stdout.pipe(sink.stdin);
+    sink.stdin.on('error', () => {}); // EPIPE when the consumer exits early; reported by its exit code
+    sink.stderr.on('data', chunk => { stderr += chunk; });
+    source.on('error', reject);
+    sink.on('error', reject);
+    sink.on('close', code => code === 0
+      ? resolve()
+      : reject(new Error(`${producer} | ${consumer} failed with exit code ${code}${stderr ? `: ${stderr.trim()}` : ''}`)));
+  });
+}
+
+// Display records: { id, name, primary, x, y, width, height, scale }
+// capture(path, display) grabs one display, captureAll(path) all of them as one image
+
+// Join images side by side with ImageMagick
+async function stitchImages(inputPaths, outputPath) {
+  const command = (await hasCommand('magick')) ? 'magick' : 'convert';
+  await execFileAsync(command, [...inputPaths, '-background', 'black', '+append', outputPath]);
+}
+
+// Parse `xrandr --query` output into display records
+function parseXrandr(stdout) {
+  const displays = [];
+  const pattern = /^(\S+) connected( primary)? (\d+)x(\d+)\+(\d+)\+(\d+)/;
+
+  for (const line of stdout.split('\n')) {
+    const match = line.match(pattern);
+    if (!match) continue;
+    displays.push({
+      id: displays.length + 1,
+      name: match[1],
+      primary: Boolean(match[2]),
+      width: parseInt(match[3], 10),
+      height: parseInt(match[4], 10),
+      x: parseInt(match[5], 10),
+      y: parseInt(match[6], 10),
+      scale: 1 // X11 outputs have no per-display scale
+    });
+  }
+
+  return displays;
+}
+
+// Parse `wlr-randr --json` output (Wayland output names are what grim -o expects)
+function parseWlrRandr(stdout) {
+  return JSON.parse(stdout)
+    .filter(output => output.enabled)
+    .map((output, i) => {
+      const mode = (output.modes || []).find(m => m.current) || {};
+      const scale = output.scale || 1;
+      return {
+        id: i + 1,
+        name: output.name,
+        primary: i === 0,
+        x: output.position ? output.position.x : 0,
+        y: output.position ? output.position.y : 0,
+        width: mode.width ? Math.round(mode.width / scale) : null,
+        height: mode.height ? Math.round(mode.height / scale) : null,
+        scale
+      };
+    });
+}
+
+async function xrandrDisplays() {
+  const { stdout } = await execFileAsync('xrandr', ['--query']);
+  return parseXrandr(stdout);
+}
+
+// macOS: screencapture + system_profiler
+class MacBackend {
+  constructor() {
+    this.name = 'macos';
+  }
+
+  async isAvailable() {
+    return process.platform === 'darwin';
+  }
+
+  async capture(outputPath, display) {
+    // -x: no sound
+    // -C: capture cursor
+    // -D n: display n (1 is the main display)
+    await execFileAsync('screencapture', ['-x', '-C', '-D', String(display ? display.id : 1), outputPath]);
+  }
+
+  // screencapture writes one file per display; stitch them with ImageMagick
+  async captureAll(outputPath) {
+    const displays = await this.getDisplays();
+    const parts = displays.map(d => outputPath.replace(/(\.\w+)?$/, `-display${d.id}$1`));
+
+    await execFileAsync('screencapture', ['-x', '-C', ...parts]);
+    try {
+      await stitchImages(parts, outputPath);
+    } finally {
+      await Promise.all(parts.map(p => fs.unlink(p).catch(() => {})));
+    }
+  }
+
+  async captureRegion(outputPath, x, y, width, height) {
+    // -R x,y,width,height: capture specific region
+    await execFileAsync('screencapture', ['-x', `-R${x},${y},${width},${height}`, outputPath]);
+  }
+
+  async getDisplays() {
+    const { stdout } = await execFileAsync('system_profiler', ['SPDisplaysDataType', '-json']);
+    const data = JSON.parse(stdout);
+    const displays = data.SPDisplaysDataType[0].spdisplays_ndrvs || [];
+
+    // system_profiler reports no desktop offsets, so x/y stay null
+    return displays.map((d, i) => {
+      const match = (d._spdisplays_resolution || '').match(/(\d+)\s*x\s*(\d+)/);
+      const pixels = (d._spdisplays_pixels || '').match(/(\d+)\s*x\s*(\d+)/);
+      const width = match ? parseInt(match[1], 10) : null;
+      return {
+        id: i + 1,
+        name: d._name || `Display ${i + 1}`,
+        primary: d.spdisplays_main === 'spdisplays_yes' || (i === 0 && !displays.some(x => x.spdisplays_main)),
+        x: null,
+        y: null,
+        width,
+        height: match ? parseInt(match[2], 10) : null,
+        scale: pixels && width ? parseInt(pixels[1], 10) / width : 1,
+        resolution: d._spdisplays_resolution || 'Unknown'
+      };
+    });
+  }
+}
+
+// X11: ImageMagick `import`, falling back to `xwd` piped through `convert`
+class X11Backend {
+  constructor() {
+    this.name = 'x11';
+  }
+
+  async isAvailable() {
+    return process.platform === 'linux' && Boolean(process.env.DISPLAY) &&
+      ((await hasCommand('import')) || ((await hasCommand('xwd')) && (await hasCommand('convert'))));
+  }
+
+  // The X root window spans every display, so one capture is already stitched
+  async captureAll(outputPath) {
+    if (await hasCommand('import')) {
+      await execFileAsync('import', ['-silent', '-window', 'root', outputPath]);
+    } else {
+      await pipeCommands(['xwd', ['-root', '-silent']], ['convert', ['xwd:-', `png:${outputPath}`]]);
+    }
+  }
+
+  async capture(outputPath, display) {
+    if (!display) {
+      return this.captureAll(outputPath);
+    }
+    return this.captureRegion(outputPath, display.x, display.y, display.width, display.height);
+  }
+
+  async captureRegion(outputPath, x, y, width, height) {
+    const geometry = `${width}x${height}+${x}+${y}`;
+    if (await hasCommand('import')) {
+      await execFileAsync('import', ['-silent', '-window', 'root', '-crop', geometry, '+repage', outputPath]);
+    } else {
+      await pipeCommands(['xwd', ['-root', '-silent']], ['convert', ['xwd:-', '-crop', geometry, '+repage', `png:${outputPath}`]]);
+    }
+  }
+
+  async getDisplays() {
+    return xrandrDisplays();
+  }
+}
+
+// Wayland (wlroots compositors): grim
+class WaylandBackend {
+  constructor() {
+    this.name = 'wayland';
+  }
+
+  async isAvailable() {
+    return process.platform === 'linux' && Boolean(process.env.WAYLAND_DISPLAY) &&
+      (await hasCommand('grim'));
+  }
+
+  async captureAll(outputPath) {
+    await execFileAsync('grim', [outputPath]);
+  }
+
+  async capture(outputPath, display) {
+    if (!display) {
+      return this.captureAll(outputPath);
+    }
+    await execFileAsync('grim', ['-o', display.name, outputPath]);
+  }
+
+  async captureRegion(outputPath, x, y, width, height) {
+    await execFileAsync('grim', ['-g', `${x},${y} ${width}x${height}`, outputPath]);
+  }
+
+  async getDisplays() {
+    if (await hasCommand('wlr-randr')) {
+      const { stdout } = await execFileAsync('wlr-randr', ['--json']);
+      return parseWlrRandr(stdout);
+    }
+    // xrandr reports XWayland outputs, which carry the same geometry
+    return xrandrDisplays();
+  }
+}
+
+// Last resort: ImageMagick reading the X root window directly
+class ImageMagickBackend {
+  constructor() {
+    this.name = 'imagemagick';
+    this.command = null;
+  }
+
+  // ImageMagick 7 ships `magick`; version 6 only has `convert`
+  async resolveCommand() {
+    if (this.command === null) {
+      if (await hasCommand('magick')) {
+        this.command = 'magick';
+      } else if (await hasCommand('convert')) {
+        this.command = 'convert';
+      }
+    }
+    return this.command;
+  }
+
+  async isAvailable() {
+    return (await this.resolveCommand()) !== null;
+  }
+
+  async captureAll(outputPath) {
+    await execFileAsync(await this.resolveCommand(), ['x:root', outputPath]);
+  }
+
+  async capture(outputPath, display) {
+    if (!display || display.x === null) {
+      return this.captureAll(outputPath);
+    }
+    return this.captureRegion(outputPath, display.x, display.y, display.width, display.height);
+  }
+
+  async captureRegion(outputPath, x, y, width, height) {
+    await execFileAsync(await this.resolveCommand(), ['x:root', '-crop', `${width}x${height}+${x}+${y}`, '+repage', outputPath]);
+  }
+
+  async getDisplays() {
+    if (await hasCommand('xrandr')) {
+      return xrandrDisplays();
+    }
+    const { stdout } = await execFileAsync(await this.resolveCommand(), ['x:root', '-format', '%w %h', 'info:']);
+    const [width, height] = stdout.trim().split(' ').map(Number);
+    return [{ id: 1, name: 'root', primary: true, width, height, x: 0, y: 0, scale: 1 }];
+  }
+}
+
+const BACKENDS = {
+  macos: MacBackend,
+  x11: X11Backend,
+  wayland: WaylandBackend,
+  imagemagick: ImageMagickBackend
+};
+
+// Build the configured backend, or pick the first available one for "auto"
+async function createBackend(name = 'auto') {
+  if (name !== 'auto') {
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+      throw new Error(`Unknown screen backend "${name}" (expected auto, ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return new Backend();
+  }
+
+  for (const Backend of [MacBackend, WaylandBackend, X11Backend, ImageMagickBackend]) {
+    const backend = new Backend();
+    if (await backend.isAvailable()) {
+      return backend;
+    }
+  }
+
+  throw new Error('No screen capture backend available (need screencapture, grim, import/xwd or ImageMagick)');
+}
+
+module.exports = {
+  MacBackend,
+  X11Backend,
+  WaylandBackend,
+  ImageMagickBackend,
+  createBackend,
+  hasCommand,
+  parseXrandr,
+  parseWlrRandr
+};
@@ -1,14 +1,25 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-
-const execAsync = promisify(exec);
+const OllamaManager = require('./ollama-manager.js');
+const { createBackend } = require('./screen-backends.js');
+const { ImageEncoder } = require('./image-encoder.js');
 
 class ScreenControl {
-  constructor() {
-    this.tempDir = path.join(os.tmpdir(), 'elvis-screenshots');
+  // options: { tempDir, visionModel, backend, ollama (an OllamaManager),
+  //            imageMaxBytes, imageMaxWidth, imageFormat, imageQuality }
+  constructor(options = {}) {
+    this.tempDir = options.tempDir || path.join(os.tmpdir(), 'elvis-screenshots');
+    this.backendName = options.backend || 'auto';
+    this.backendPromise = null;
+    this.visionModel = options.visionModel || 'llava';
+    this.ollama = options.ollama || new OllamaManager();
+    this.encoder = new ImageEncoder({
+      maxBytes: options.imageMaxBytes,
+      maxWidth: options.imageMaxWidth,
+      format: options.imageFormat,
+      quality: options.imageQuality
+    });
   }
 
   async init() {
@@ -16,18 +27,53 @@ class ScreenControl {
     await fs.mkdir(this.tempDir, { recursive: true });
   }
 
-  async takeScreenshot(filename = null) {
+  // Capture backend for this platform (macos, x11, wayland or imagemagick)
+  getBackend() {
+    if (!this.backendPromise) {
+      this.backendPromise = createBackend(this.backendName);
+      // Allow a later call to retry detection if nothing was available
+      this.backendPromise.catch(() => { this.backendPromise = null; });
+    }
+    return this.backendPromise;
+  }
+
+  // Pick a display by id or name; defaults to the primary display
+  resolveDisplay(displays, display) {
+    if (display === undefined || display === null || display === '') {
+      return displays.find(d => d.primary) || displays[0] || null;
+    }
+
+    const match = displays.find(d => String(d.id) === String(display) || d.name === display);
+    if (!match) {
+      const available = displays.map(d => `${d.id} (${d.name})`).join(', ');
+      throw new Error(`Unknown display "${display}". Available: ${available || 'none detected'}`);
+    }
+    return match;
+  }
+
+  // options.display: id, name or "all"; options.allMode: "stitched" (one image) or "separate"
+  async takeScreenshot(filename = null, options = {}) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const screenshotPath = filename 
       ? path.join(this.tempDir, filename)
       : path.join(this.tempDir, `screenshot-${timestamp}.png`);
+    const { display, allMode = 'stitched' } = options;
 
     try {
-      // macOS screencapture command
-      // -x: no sound
-      // -C: capture cursor
-      // -D 1: display 1 (main display)
-      await execAsync(`screencapture -x -C -D 1 "${screenshotPath}"`);
+      const backend = await this.getBackend();
+      
+      if (display === 'all' && allMode === 'separate') {
+        return await this.captureEachDisplay(backend, screenshotPath);
+      }
+      
+      let captured = 'all';
+      if (display === 'all') {
+        await backend.captureAll(screenshotPath);
+      } else {
+        const displays = await backend.getDisplays();
+        captured = this.resolveDisplay(displays, display);
+        await backend.capture(screenshotPath, captured);
+      }
       
       // Verify file was created
       const stats = await fs.stat(screenshotPath);
@@ -36,6 +82,7 @@ class ScreenControl {
         success: true,
         path: screenshotPath,
         size: stats.size,
+        display: captured,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -47,6 +94,28 @@ class ScreenControl {
     }
   }
 
+  // One image per display, named <base>-display<id>.png
+  async captureEachDisplay(backend, basePath) {
+    const displays = await backend.getDisplays();
+    const screenshots = [];
+
+    for (const display of displays) {
+      const displayPath = basePath.replace(/(\.\w+)?$/, `-display${display.id}$1`);
+      await backend.capture(displayPath, display);
+      const stats = await fs.stat(displayPath);
+      screenshots.push({ display, path: displayPath, size: stats.size });
+    }
+
+    return {
+      success: true,
+      path: screenshots.length > 0 ? screenshots[0].path : null,
+      size: screenshots.reduce((total, s) => total + s.size, 0),
+      display: 'all',
+      screenshots,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   async takeRegionScreenshot(x, y, width, height, filename = null) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const screenshotPath = filename 
@@ -54,9 +123,8 @@ class ScreenControl {
       : path.join(this.tempDir, `region-${timestamp}.png`);
 
     try {
-      // macOS screencapture with region
-      // -R x,y,width,height: capture specific region
-      await execAsync(`screencapture -x -R${x},${y},${width},${height} "${screenshotPath}"`);
+      const backend = await this.getBackend();
+      await backend.captureRegion(screenshotPath, x, y, width, height);
       
       const stats = await fs.stat(screenshotPath);
       
@@ -76,29 +144,28 @@ class ScreenControl {
     }
   }
 
-  async analyzeScreenshot(imagePath, prompt = "What do you see in this image?", model = 'llava') {
+  // Base64 image(s) for MCP image content; the byte budget is shared across all images
+  // options: { maxBytes, maxWidth, format, quality }
+  async encodeImages(imagePaths, options = {}) {
+    const maxBytes = Math.floor((options.maxBytes || this.encoder.maxBytes) / imagePaths.length);
+    const images = [];
+    for (const imagePath of imagePaths) {
+      images.push(await this.encoder.encode(imagePath, { ...options, maxBytes }));
+    }
+    return images;
+  }
+
+  // imagePath may be an array to analyze several displays in one request
+  async analyzeScreenshot(imagePath, prompt = "What do you see in this image?", model = this.visionModel) {
     try {
-      // Read image as base64
-      const imageBuffer = await fs.readFile(imagePath);
-      const base64Image = imageBuffer.toString('base64');
-
-      // Call Ollama with image
-      const response = await fetch('http://localhost:11434/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model,
-          prompt,
-          images: [base64Image],
-          stream: false
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Ollama error: ${response.statusText}`);
-      }
+      // Read images as base64
+      const imagePaths = Array.isArray(imagePath) ? imagePath : [imagePath];
+      const base64Images = await Promise.all(
+        imagePaths.map(async p => (await fs.readFile(p)).toString('base64'))
+      );
 
-      const data = await response.json();
+      // Call Ollama with images (through the manager so host, auth and auto-start apply)
+      const data = await this.ollama.callOllama(prompt, model, base64Images);
       
       return {
         success: true,
@@ -116,27 +183,34 @@ class ScreenControl {
     }
   }
 
-  async captureAndAnalyze(prompt = "What do you see on the screen?", model = 'llava') {
-    // Take screenshot
-    const screenshot = await this.takeScreenshot();
+  async captureAndAnalyze(prompt = "What do you see on the screen?", model = this.visionModel, options = {}) {
+    // Take screenshot(s)
+    const screenshot = await this.takeScreenshot(null, options);
     if (!screenshot.success) {
       return screenshot;
     }
 
-    // Analyze it
-    const analysis = await this.analyzeScreenshot(screenshot.path, prompt, model);
+    // Analyze them
+    const paths = screenshot.screenshots
+      ? screenshot.screenshots.map(s => s.path)
+      : [screenshot.path];
+    const analysis = await this.analyzeScreenshot(paths, prompt, model);
     
-    // Clean up screenshot file
-    try {
-      await fs.unlink(screenshot.path);
-    } catch (err) {
-      // Ignore cleanup errors
+    // Clean up screenshot files
+    for (const p of paths) {
+      try {
+        await fs.unlink(p);
+      } catch (err) {
+        // Ignore cleanup errors
+      }
     }
 
     return {
       ...analysis,
       screenshot: {
         size: screenshot.size,
+        display: screenshot.display,
+        images: paths.length,
         timestamp: screenshot.timestamp
       }
     };
@@ -144,17 +218,17 @@ class ScreenControl {
 
   async getScreenInfo() {
     try {
-      // Get screen resolution using system_profiler
-      const { stdout } = await execAsync('system_profiler SPDisplaysDataType -json');
-      const data = JSON.parse(stdout);
-      
-      const displays = data.SPDisplaysDataType[0].spdisplays_ndrvs || [];
-      const mainDisplay = displays[0] || {};
+      const backend = await this.getBackend();
+      const displays = await backend.getDisplays();
+      const mainDisplay = displays.find(d => d.primary) || displays[0] || {};
       
       return {
         success: true,
-        resolution: mainDisplay._spdisplays_resolution || 'Unknown',
+        backend: backend.name,
+        resolution: mainDisplay.resolution ||
+          (mainDisplay.width ? `${mainDisplay.width} x ${mainDisplay.height}` : 'Unknown'),
         displays: displays.length,
+        displayList: displays,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -166,6 +240,35 @@ class ScreenControl {
     }
   }
 
+  // Image files currently in the temp directory, newest first
+  async listScreenshots() {
+    let files;
+    try {
+      files = await fs.readdir(this.tempDir);
+    } catch (error) {
+      return [];
+    }
+
+    const screenshots = [];
+    for (const name of files.filter(f => /\.(png|jpe?g)$/i.test(f))) {
+      try {
+        const stats = await fs.stat(path.join(this.tempDir, name));
+        screenshots.push({ name, path: path.join(this.tempDir, name), size: stats.size, modified: stats.mtime.toISOString() });
+      } catch (error) {
+        // Removed while listing
+      }
+    }
+    return screenshots.sort((a, b) => b.modified.localeCompare(a.modified));
+  }
+
+  // Path of a stored screenshot by file name (no directory components allowed)
+  screenshotPath(name) {
+    if (!name || name !== path.basename(name) || name.startsWith('.')) {
+      throw new Error(`Invalid screenshot name "${name}"`);
+    }
+    return path.join(this.tempDir, name);
+  }
+
   async cleanup() {
     try {
       // Clean up old screenshots
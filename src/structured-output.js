@@ -0,0 +1,76 @@
+// structured-output.js - JSON replies checked against a response schema
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true });
+
+// Replies kept failing validation after every re-prompt. The model did answer, so this
+// is flagged modelResponded and does not count against its health
+class SchemaMismatchError extends Error {
+  constructor(errors, attempts) {
+    super(`Reply did not match response_schema after ${attempts} attempts:\n${errors.map(e => `- ${e}`).join('\n')}`);
+    this.name = 'SchemaMismatchError';
+    this.errors = errors;
+    this.attempts = attempts;
+    this.modelResponded = true;
+  }
+}
+
+// Validator for a JSON Schema; throws if the schema itself is invalid
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('response_schema must be a JSON Schema object');
+  }
+  try {
+    return ajv.compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid response_schema: ${error.message}`);
+  }
+}
+
+// Parse a reply as JSON, tolerating a ```json fence around it
+function parseReply(text) {
+  const fenced = (text || '').trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// Returns { value, errors }; errors is empty when the reply parses and matches
+function checkReply(text, validate) {
+  let value;
+  try {
+    value = parseReply(text);
+  } catch (error) {
+    return { value: null, errors: [`Reply is not valid JSON: ${error.message}`] };
+  }
+
+  if (validate(value)) {
+    return { value, errors: [] };
+  }
+  return {
+    value,
+    errors: validate.errors.map(e => `${e.dataPath || '(root)'} ${e.message}`)
+  };
+}
+
+// Prompt with the schema spelled out (structured output mode alone doesn't explain field meanings)
+function schemaPrompt(prompt, schema) {
+  return `${prompt}
+
+Respond only with JSON matching this JSON Schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+// Follow-up prompt asking the model to fix a reply that failed validation
+function repairPrompt(prompt, reply, errors) {
+  return `${prompt}
+
+Your previous reply was:
+${reply}
+
+It does not match the required JSON Schema:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply again with only the corrected JSON.`;
+}
+
+module.exports = { compileSchema, parseReply, checkReply, schemaPrompt, repairPrompt, SchemaMismatchError };
@@ -0,0 +1,157 @@
+// task-scheduler.js - Bounded-concurrency priority queue for delegated tasks
+
+class TaskScheduler {
+  constructor(options = {}) {
+    this.globalLimit = options.globalLimit || 2;
+    this.perModelLimit = options.perModelLimit || 1;
+    this.modelLimits = options.modelLimits || {}; // e.g. { 'gemma:2b': 2 }
+    this.historySize = options.historySize || 10;
+
+    this.queue = [];          // waiting jobs, kept sorted by priority then arrival
+    this.running = new Map(); // taskId -> { model, started, controller }
+    this.durations = {};      // model -> recent duration_ms values
+    this.sequence = 0;
+  }
+
+  // Queue a job; run(signal) is called once a slot is free
+  enqueue(taskId, model, priority, run) {
+    const job = { taskId, model, priority, seq: this.sequence++, run };
+
+    // Higher priority first, FIFO within the same priority
+    const index = this.queue.findIndex(j => j.priority < priority);
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+
+    this.pump();
+    return job;
+  }
+
+  limitFor(model) {
+    return this.modelLimits[model] || this.perModelLimit;
+  }
+
+  runningCount(model) {
+    let count = 0;
+    for (const entry of this.running.values()) {
+      if (entry.model === model) count++;
+    }
+    return count;
+  }
+
+  // Start as many queued jobs as the limits allow
+  pump() {
+    for (let i = 0; i < this.queue.length && this.running.size < this.globalLimit; ) {
+      const job = this.queue[i];
+
+      // A job whose model is saturated must not block other models
+      if (this.runningCount(job.model) >= this.limitFor(job.model)) {
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    const started = Date.now();
+    const controller = new AbortController();
+    this.running.set(job.taskId, { model: job.model, started, controller });
+
+    Promise.resolve()
+      .then(() => job.run(controller.signal))
+      .catch(error => console.error(`Scheduled task ${job.taskId} failed: ${error.message}`))
+      .finally(() => {
+        this.running.delete(job.taskId);
+        this.pump();
+      });
+  }
+
+  // Remove a queued job or abort a running one
+  cancel(taskId) {
+    const index = this.queue.findIndex(j => j.taskId === taskId);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      return 'dequeued';
+    }
+
+    const entry = this.running.get(taskId);
+    if (entry) {
+      entry.controller.abort();
+      return 'aborted';
+    }
+
+    return null;
+  }
+
+  // Feed a completed task's duration_ms into the wait estimates
+  recordDuration(model, durationMs) {
+    if (!this.durations[model]) this.durations[model] = [];
+    this.durations[model].push(durationMs);
+    if (this.durations[model].length > this.historySize) {
+      this.durations[model].shift();
+    }
+  }
+
+  // Average recent duration for a model, falling back to all models
+  averageDuration(model) {
+    const recent = this.durations[model] && this.durations[model].length > 0
+      ? this.durations[model]
+      : Object.values(this.durations).flat();
+
+    if (recent.length === 0) return null;
+    return recent.reduce((sum, d) => sum + d, 0) / recent.length;
+  }
+
+  isQueued(taskId) {
+    return this.queue.some(j => j.taskId === taskId);
+  }
+
+  isRunning(taskId) {
+    return this.running.has(taskId);
+  }
+
+  // Queue position (1-based) and estimated wait for a queued task
+  getQueueInfo(taskId) {
+    const index = this.queue.findIndex(j => j.taskId === taskId);
+    if (index === -1) return null;
+
+    const now = Date.now();
+    let pendingWork = 0;
+    let unknown = false;
+
+    for (const job of this.queue.slice(0, index)) {
+      const avg = this.averageDuration(job.model);
+      if (avg === null) unknown = true;
+      pendingWork += avg || 0;
+    }
+
+    for (const entry of this.running.values()) {
+      const avg = this.averageDuration(entry.model);
+      if (avg === null) unknown = true;
+      pendingWork += Math.max(0, (avg || 0) - (now - entry.started));
+    }
+
+    return {
+      position: index + 1,
+      queued: this.queue.length,
+      running: this.running.size,
+      estimatedWaitMs: unknown ? null : Math.round(pendingWork / this.globalLimit)
+    };
+  }
+
+  getStatus() {
+    return {
+      globalLimit: this.globalLimit,
+      perModelLimit: this.perModelLimit,
+      running: this.running.size,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = TaskScheduler;
@@ -0,0 +1,137 @@
+// task-store.js - Pluggable storage for delegated task records
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Statuses that mean a task was still in flight ("waiting" = blocked on depends_on)
+const IN_FLIGHT_STATUSES = ['waiting', 'pending', 'processing'];
+
+// In-process store (records are lost on restart)
+class MemoryTaskStore {
+  constructor() {
+    this.tasks = new Map();
+  }
+
+  async load() {
+    return { loaded: 0, interrupted: 0 };
+  }
+
+  get(taskId) {
+    return this.tasks.get(taskId);
+  }
+
+  has(taskId) {
+    return this.tasks.has(taskId);
+  }
+
+  get size() {
+    return this.tasks.size;
+  }
+
+  values() {
+    return this.tasks.values();
+  }
+
+  [Symbol.iterator]() {
+    return this.tasks.entries();
+  }
+
+  // Add a new task record
+  create(taskRecord) {
+    this.tasks.set(taskRecord.id, taskRecord);
+    this.record('created', taskRecord);
+    return taskRecord;
+  }
+
+  // Apply a lifecycle transition to an existing record
+  update(taskId, changes) {
+    const taskRecord = this.tasks.get(taskId);
+    if (!taskRecord) return null;
+
+    Object.assign(taskRecord, changes);
+    this.record(changes.status || 'updated', taskRecord);
+    return taskRecord;
+  }
+
+  // Hook for persistent stores
+  record(event, taskRecord) {}
+
+  async flush() {}
+}
+
+// File-backed store: appends one JSON line per lifecycle transition
+class FileTaskStore extends MemoryTaskStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Replay the log, mark in-flight tasks as interrupted and compact the file
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.task && entry.task.id) {
+          this.tasks.set(entry.task.id, entry.task);
+        }
+      } catch (error) {
+        // A torn final line from a crash is expected; skip it
+        console.error(`Skipping unreadable task log line: ${error.message}`);
+      }
+    }
+
+    let interrupted = 0;
+    const now = new Date().toISOString();
+    for (const taskRecord of this.tasks.values()) {
+      if (IN_FLIGHT_STATUSES.includes(taskRecord.status)) {
+        taskRecord.status = 'interrupted';
+        taskRecord.interrupted = now;
+        taskRecord.error = 'Server stopped before the task finished';
+        interrupted++;
+      }
+    }
+
+    await this.compact();
+    return { loaded: this.tasks.size, interrupted };
+  }
+
+  record(event, taskRecord) {
+    const line = JSON.stringify({
+      event,
+      at: new Date().toISOString(),
+      task: taskRecord
+    }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.filePath, line))
+      .catch(error => console.error(`Failed to persist task ${taskRecord.id}: ${error.message}`));
+  }
+
+  // Rewrite the log with one snapshot per task (atomic via rename)
+  async compact() {
+    const lines = [...this.tasks.values()]
+      .map(task => JSON.stringify({ event: 'snapshot', at: new Date().toISOString(), task }))
+      .join('\n');
+    const tmpPath = `${this.filePath}.tmp`;
+
+    await fs.writeFile(tmpPath, lines ? lines + '\n' : '');
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = { MemoryTaskStore, FileTaskStore, IN_FLIGHT_STATUSES };
@@ -0,0 +1,40 @@
+const { ChatSessions, estimateTokens, sessionRetryError } = require('./chat-sessions.js');
+
+console.log('Testing Chat Sessions...');
+
+const sessions = new ChatSessions({ maxContextTokens: 200, responseReserveTokens: 50 });
+
+const capped = sessions.open({ model: 'llama3.2', modelContextLength: 100 });
+console.assert(capped.contextTokens === 100, 'Model context length not applied');
+console.assert(sessions.open({ model: 'llama3.2' }).contextTokens === 200, 'Default context window failed');
+
+const session = sessions.open({ model: 'llama3.2', system: 'Be brief.' });
+let built = sessions.buildMessages(session, 'Hello');
+console.assert(built.messages.length === 2 && built.messages[0].role === 'system', 'System prompt not sent');
+console.assert(built.dropped === 0, 'Empty history dropped turns');
+
+// Each turn is ~50 tokens; the 150-token budget fits two of them next to the new message
+for (let i = 1; i <= 4; i++) {
+  sessions.addTurn(session, `turn ${i} `.padEnd(100, 'u'), 'a'.repeat(100), { eval_count: 25 });
+}
+console.assert(estimateTokens(session.turns[0].user) === 25, 'Token estimate failed');
+
+built = sessions.buildMessages(session, 'Next');
+console.assert(built.dropped === 2, 'Oldest turns not dropped');
+console.assert(built.messages[1].content.startsWith('turn 3'), 'Newest turns not kept');
+console.assert(built.messages[built.messages.length - 1].content === 'Next', 'New message not last');
+console.assert(!built.overBudget, 'Trimmed history over budget');
+
+sessions.setSystem(session, '');
+built = sessions.buildMessages(session, 'Next');
+console.assert(built.messages[0].role === 'user', 'Cleared system prompt still sent');
+
+// Session turns are resent with elvis_session_send rather than retried
+const turn = { id: 'task_1', sessionId: session.id };
+console.assert(sessionRetryError({ id: 'task_2' }, null) === null, 'Plain task refused');
+console.assert(/elvis_session_send/.test(sessionRetryError(turn, session)), 'Session turn retry not refused');
+
+console.assert(sessions.close(session.id) && !sessions.get(session.id), 'Close failed');
+console.assert(/closed/.test(sessionRetryError(turn, sessions.get(turn.sessionId))), 'Closed session not reported');
+
+console.log('✅ All tests passed!');
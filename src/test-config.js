@@ -0,0 +1,60 @@
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, redactConfig, ConfigError } = require('./config.js');
+
+console.log('Testing Config Loader...');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elvis-config-'));
+
+// Defaults with no file and no environment (null skips ~/.elvis/config.* too)
+const defaults = loadConfig({ configPath: null, env: {} });
+console.assert(defaults.ollama.port === 11434, 'Default port failed');
+console.assert(defaults.memory.slots === 7, 'Default slots failed');
+console.assert(defaults.meta.filePath === null, 'Default config read a file');
+
+// YAML file, overridden by the environment
+const yamlPath = path.join(dir, 'config.yaml');
+fs.writeFileSync(yamlPath, 'ollama:\n  host: gpu-box\n  apiKey: s3cret\nmemory:\n  slots: 9\n');
+const merged = loadConfig({ configPath: yamlPath, env: { ELVIS_MEMORY_SLOTS: '5' } });
+console.assert(merged.ollama.host === 'gpu-box', 'File value failed');
+console.assert(merged.memory.slots === 5, 'Env override failed');
+console.assert(merged.meta.sources['memory.slots'] === 'ELVIS_MEMORY_SLOTS', 'Source tracking failed');
+console.assert(redactConfig(merged).ollama.apiKey === '***redacted***', 'Redaction failed');
+console.assert(merged.ollama.apiKey === 's3cret', 'Redaction mutated config');
+
+// Every problem is reported at once
+const jsonPath = path.join(dir, 'config.json');
+fs.writeFileSync(jsonPath, JSON.stringify({ ollama: { port: 'abc' }, bogus: true }));
+try {
+  loadConfig({ configPath: jsonPath, env: { ELVIS_OLLAMA_LIFECYCLE: 'docker' } });
+  console.assert(false, 'Invalid config accepted');
+} catch (error) {
+  console.assert(error instanceof ConfigError, 'Wrong error type');
+  console.assert(error.problems.length === 3, `Expected 3 problems, got ${error.problems.length}`);
+}
+
+// Number settings accept fractions and enforce their range
+console.assert(loadConfig({ configPath: null, env: { ELVIS_MEMORY_INJECTION_THRESHOLD: '0.35' } }).memory.injectionThreshold === 0.35, 'Number setting failed');
+console.assert(loadConfig({ configPath: null, env: {} }).memory.keywordInjectionThreshold === 0.3, 'Keyword threshold default failed');
+try {
+  loadConfig({ configPath: null, env: { ELVIS_MEMORY_INJECTION_THRESHOLD: '1.5' } });
+  console.assert(false, 'Out-of-range number accepted');
+} catch (error) {
+  console.assert(/at most 1/.test(error.message), 'Number range not reported');
+}
+
+// Presets come from the file or as JSON in the environment, and are validated
+const presetPath = path.join(dir, 'presets.yaml');
+fs.writeFileSync(presetPath, 'tasks:\n  presets:\n    terse:\n      num_predict: 256\n');
+console.assert(loadConfig({ configPath: presetPath, env: {} }).tasks.presets.terse.num_predict === 256, 'File presets failed');
+try {
+  loadConfig({ configPath: null, env: { ELVIS_PRESETS: '{"hot":{"temperature":9}}' } });
+  console.assert(false, 'Invalid preset accepted');
+} catch (error) {
+  console.assert(/temperature must be at most 2/.test(error.message), 'Preset problem not reported');
+}
+
+fs.rmSync(dir, { recursive: true, force: true });
+console.log('✅ All tests passed!');
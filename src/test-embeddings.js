@@ -0,0 +1,51 @@
+const WorkingMemory = require('./working-memory.js');
+const { MemoryEmbedder, cosineSimilarity, rankBySimilarity } = require('./embeddings.js');
+
+async function testEmbeddings() {
+  console.log('Testing Memory Embeddings...');
+
+  console.assert(Math.abs(cosineSimilarity([1, 0], [2, 0]) - 1) < 1e-9, 'Parallel vectors not similar');
+  console.assert(cosineSimilarity([1, 0], [0, 1]) === 0, 'Orthogonal vectors similar');
+  console.assert(cosineSimilarity([1, 0], [1, 0, 0]) === 0, 'Mismatched sizes compared');
+
+  const ranked = rankBySimilarity([
+    { id: 'a', embedding: [0, 1] },
+    { id: 'b', embedding: [1, 0.1] },
+    { id: 'c' }
+  ], [1, 0]);
+  // Unrelated (a) and unembedded (c) memories are left out
+  console.assert(ranked.length === 1 && ranked[0].memory.id === 'b', 'Ranking failed');
+
+  // Embedder caches vectors and reports failures
+  let calls = 0;
+  const fakeOllama = {
+    async embed(text) {
+      calls++;
+      if (text === 'fail') throw new Error('model "nomic-embed-text" not found');
+      return [text.length, 1];
+    }
+  };
+  const embedder = new MemoryEmbedder(fakeOllama, 'nomic-embed-text');
+  await embedder.embed('hello');
+  await embedder.embed('hello');
+  console.assert(calls === 1, 'Embedding not cached');
+  console.assert(await embedder.tryEmbed('fail') === null && /not found/.test(embedder.lastError.message), 'Failure not reported');
+
+  // Relevance to active work keeps an otherwise equal memory from being evicted
+  const wm = new WorkingMemory(2);
+  const related = wm.add('Staging database lives on db-2', 'reference', 4);
+  const unrelated = wm.add('Lunch is at noon', 'reference', 4);
+  wm.setEmbedding(related.id, [1, 0]);
+  wm.setEmbedding(unrelated.id, [0, 1]);
+  wm.setRelevanceContext([[0.9, 0.1]]);
+  console.assert(wm.relevance(related) > 0.9 && wm.relevance(unrelated) < 0.2, 'Relevance failed');
+
+  wm.add('Tests run with npm test', 'reference', 4);
+  console.assert(wm.slots.some(m => m.id === related.id), 'Relevant memory evicted');
+  console.assert(!wm.slots.some(m => m.id === unrelated.id), 'Unrelated memory kept');
+  console.assert(!('embedding' in wm.list(true)[0]) && wm.list(true)[0].embedded, 'Embedding not hidden from listing');
+
+  console.log('✅ All tests passed!');
+}
+
+testEmbeddings().catch(console.error);
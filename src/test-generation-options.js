@@ -0,0 +1,37 @@
+const { DEFAULT_PRESETS, validateOptions, resolveOptions, describeOptions } = require('./generation-options.js');
+
+console.log('Testing Generation Options...');
+
+console.assert(validateOptions({ temperature: 0.7, seed: 3, stop: ['###'], format: 'json' }).length === 0, 'Valid options rejected');
+
+const problems = validateOptions({ temperature: 'hot', top_k: 1.5, stop: 'x', bogus: 1, format: 'xml' });
+console.assert(problems.length === 5, `Expected 5 problems, got ${problems.length}`);
+console.assert(problems.some(p => /options\.bogus is not a supported option/.test(p)), 'Unknown option not reported');
+
+// Explicit options override the preset; format is split out
+const resolved = resolveOptions({ preset: 'json', options: { temperature: 0.3 } });
+console.assert(resolved.format === 'json', 'Format not split out');
+console.assert(resolved.modelOptions.temperature === 0.3 && !('format' in resolved.modelOptions), 'Override failed');
+
+const none = resolveOptions({});
+console.assert(none.modelOptions === null && none.format === null, 'Empty options not null');
+
+let threw = false;
+try {
+  resolveOptions({ preset: 'missing' }, DEFAULT_PRESETS);
+} catch (error) {
+  threw = /Unknown preset "missing"/.test(error.message);
+}
+console.assert(threw, 'Unknown preset not reported');
+
+threw = false;
+try {
+  resolveOptions({ options: { num_ctx: 0 } });
+} catch (error) {
+  threw = /num_ctx must be at least 1/.test(error.message);
+}
+console.assert(threw, 'Invalid option not reported');
+
+console.assert(describeOptions({ temperature: 0, stop: ['a'] }) === 'temperature=0, stop=["a"]', 'Describe failed');
+
+console.log('✅ All tests passed!');
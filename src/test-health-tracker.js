@@ -3,7 +3,7 @@ const ModelHealthTracker = require('./model-health.js');
 
 console.log('Testing Model Health Tracker...');
 
-const tracker = new ModelHealthTracker();
+const tracker = new ModelHealthTracker(['llama3.2', 'deepseek-r1', 'phi3:mini']);
 
 // Test success recording
 tracker.recordSuccess('llama3.2');
@@ -26,4 +26,32 @@ console.assert(tracker.isHealthy('deepseek-r1') === false, 'Unhealthy check fail
 const best = tracker.getBestModel();
 console.assert(best === 'llama3.2', 'Best model selection failed');
 
+// Test syncing with the installed model list
+tracker.syncModels(['llama3.2', 'deepseek-r1', 'phi3:mini', 'qwen2.5']);
+console.assert(tracker.health['qwen2.5'].status === 'active', 'New model not added');
+console.assert(tracker.health['llama3.2'].successes === 1, 'Existing stats lost on sync');
+tracker.syncModels(['llama3.2', 'deepseek-r1', 'phi3:mini']);
+console.assert(!tracker.health['qwen2.5'], 'Removed model not dropped');
+
+// Without any history, auto follows the fallback chain rather than alphabetical order
+const fresh = new ModelHealthTracker(['deepseek-r1', 'gemma:2b', 'llama3.2', 'phi3:mini']);
+console.assert(fresh.getBestModel() === 'llama3.2', `Tie not broken by fallback chain: ${fresh.getBestModel()}`);
+
+// Test fallback for disabled models
+const resolved = tracker.resolveModel('deepseek-r1');
+console.assert(resolved.fallback === true && resolved.model === 'llama3.2', 'Fallback chain failed');
+console.assert(tracker.resolveModel('auto').model === 'llama3.2', 'Auto model selection failed');
+
+// Test half-open after the circuit breaker window
+tracker.health['deepseek-r1'].disabledAt = new Date(Date.now() - tracker.circuitBreaker.window - 1);
+console.assert(tracker.isAvailable('deepseek-r1') === true, 'Half-open availability failed');
+console.assert(tracker.health['deepseek-r1'].status === 'half-open', 'Half-open transition failed');
+tracker.recordFailure('deepseek-r1');
+console.assert(tracker.health['deepseek-r1'].status === 'disabled', 'Failed probe did not re-open circuit');
+
+// Test comparison stats (unknown models are ignored)
+tracker.recordComparison(['phi3:mini', 'llama3.2', 'not-installed']);
+console.assert(tracker.health['phi3:mini'].wins === 1 && tracker.health['phi3:mini'].compared === 1, 'Comparison winner failed');
+console.assert(tracker.health['llama3.2'].wins === 0 && tracker.health['llama3.2'].compared === 1, 'Comparison loser failed');
+
 console.log('✅ All tests passed!');
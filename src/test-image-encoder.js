@@ -0,0 +1,54 @@
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { ImageEncoder, readPngSize, base64Length } = require('./image-encoder.js');
+
+console.log('Testing Image Encoder...');
+
+// Minimal valid PNG: 1 row of RGB pixels
+function makePng(width, height) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+console.assert(base64Length(3) === 4 && base64Length(4) === 8, 'Base64 length failed');
+
+const png = makePng(40, 30);
+const size = readPngSize(png);
+console.assert(size.width === 40 && size.height === 30, 'PNG header parse failed');
+console.assert(readPngSize(Buffer.from('not an image at all, really')) === null, 'Non-PNG not rejected');
+
+const pngPath = path.join(os.tmpdir(), `elvis-test-${process.pid}.png`);
+fs.writeFileSync(pngPath, png);
+
+(async () => {
+  try {
+    // A PNG already within budget and width is returned untouched
+    const encoder = new ImageEncoder({ format: 'png', maxBytes: 100000 });
+    const image = await encoder.encode(pngPath);
+    console.assert(image.mimeType === 'image/png' && !image.resized, 'Untouched PNG failed');
+    console.assert(Buffer.from(image.data, 'base64').equals(png), 'PNG payload mismatch');
+    console.assert(image.bytes <= 100000 && image.width === 40, 'PNG metadata failed');
+
+    console.log('✅ All tests passed!');
+  } finally {
+    fs.unlinkSync(pngPath);
+  }
+})();
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkingMemory = require('./working-memory.js');
+const { MemoryArchive, ARCHIVE_CATEGORIES } = require('./memory-archive.js');
+
+async function testMemoryArchive() {
+  console.log('Testing Memory Archive...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elvis-archive-'));
+  const filePath = path.join(dir, 'memory-archive.jsonl');
+
+  // Wire eviction to the archive the way the server does
+  const archive = new MemoryArchive(filePath);
+  await archive.load();
+  const wm = new WorkingMemory(2);
+  wm.on('evict', (memory, reason) => {
+    if (ARCHIVE_CATEGORIES.includes(memory.metaTags.category)) archive.archive(memory, reason);
+  });
+
+  const decision = wm.add('Use deepseek-r1 for deployment reviews', 'decision', 1, ['models']);
+  wm.add('Build takes 3 minutes', 'pattern', 7);
+  wm.add('Cache lives in /tmp/cache', 'reference', 7);
+  console.assert(archive.get(decision.id) && archive.get(decision.id).archive.reason === 'evicted', 'Evicted decision not archived');
+
+  wm.add('Streaming beats polling', 'insight', 5);
+  wm.clear();
+  console.assert(archive.size === 2, `Expected 2 archived, got ${archive.size}`);
+  console.assert(archive.recent(1)[0].archive.reason === 'cleared', 'Cleared insight not archived');
+
+  // Whole words rank above prefixes; no match, no result
+  const results = archive.search('deploy reviews');
+  console.assert(results.length === 1 && results[0].memory.id === decision.id, 'Search failed');
+  console.assert(archive.search('kubernetes').length === 0, 'Unrelated search matched');
+  console.assert(archive.search('polling', { category: 'decision' }).length === 0, 'Category filter failed');
+
+  // Promote keeps the ID and leaves the archive
+  const restored = wm.restore(archive.get(decision.id));
+  archive.remove(decision.id);
+  console.assert(restored.id === decision.id && restored.metaTags.status === 'active', 'Promote failed');
+  console.assert(!archive.get(decision.id), 'Promoted memory still archived');
+
+  // Embeddings added after archiving are logged with their model
+  const insight = archive.search('streaming')[0].memory;
+  console.assert(archive.setEmbedding(insight.id, [1, 0], 'nomic-embed-text'), 'Archive embedding not set');
+  console.assert(!archive.setEmbedding('missing', [1, 0], 'nomic-embed-text'), 'Embedded a missing memory');
+  await archive.flush();
+
+  // Second "process": the removal survives a reload
+  const reloaded = new MemoryArchive(filePath);
+  const { loaded } = await reloaded.load();
+  console.assert(loaded === 1, `Reload count failed: ${loaded}`);
+  console.assert(reloaded.search('streaming').length === 1, 'Archived insight not restored');
+  console.assert(reloaded.get(insight.id).embeddingModel === 'nomic-embed-text', 'Archive embedding not restored');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('✅ All tests passed!');
+}
+
+testMemoryArchive().catch(console.error);
@@ -0,0 +1,24 @@
+const { selectMemories, formatMemoryContext } = require('./memory-injection.js');
+
+console.log('Testing Memory Injection...');
+
+const memory = (id, content, category = 'decision') => ({ id, content, metaTags: { category } });
+const candidates = [
+  { memory: memory('wm_a', 'Use Postgres 16 for the new service'), score: 0.91 },
+  { memory: memory('wm_b', 'x'.repeat(400), 'reference'), score: 0.8 },
+  { memory: memory('wm_c', 'Staging deploys run at 2am', 'pattern'), score: 0.6 },
+  { memory: memory('wm_d', 'Lunch is at noon', 'task'), score: 0.2 }
+];
+
+// The long memory doesn't fit the budget; the one below threshold is never considered
+const { selected, skipped } = selectMemories(candidates, { threshold: 0.5, tokenBudget: 60 });
+console.assert(selected.map(s => s.memory.id).join() === 'wm_a,wm_c', `Wrong selection: ${selected.map(s => s.memory.id)}`);
+console.assert(skipped === 1, 'Over-budget memory not counted');
+
+const block = formatMemoryContext(selected);
+console.assert(block.includes('- [decision] Use Postgres 16') && block.indexOf('wm_a') === -1, 'Block format failed');
+console.assert(block.indexOf('Postgres') < block.indexOf('Staging'), 'Block not in score order');
+
+console.assert(formatMemoryContext(selectMemories(candidates, { threshold: 0.95 }).selected) === '', 'Threshold not applied');
+
+console.log('✅ All tests passed!');
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkingMemory = require('./working-memory.js');
+const { MemorySnapshot } = require('./memory-snapshot.js');
+
+async function testMemorySnapshot() {
+  console.log('Testing Working Memory Snapshots...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elvis-snapshot-'));
+  const filePath = path.join(dir, 'working-memory.json');
+
+  // First "process": every change is snapshotted
+  const snapshot = new MemorySnapshot(filePath);
+  console.assert((await snapshot.load()).memories.length === 0, 'Missing snapshot not empty');
+  const wm = new WorkingMemory(7);
+  wm.on('change', () => snapshot.save(wm.slots));
+
+  const kept = wm.add('Deploy from main only', 'decision', 6, [], 'persistent');
+  wm.add('Currently debugging the login page', 'task', 4);
+  wm.access(kept.id);
+  await snapshot.flush();
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  console.assert(saved.slots.length === 2, 'Snapshot missing memories');
+  console.assert(saved.slots[0].metadata.accessCount === 1, 'Access not snapshotted');
+  console.assert(fs.readdirSync(dir).length === 1, 'Temp file left behind');
+
+  // Second "process": only the persistent memory comes back
+  const { memories, dropped } = await new MemorySnapshot(filePath).load();
+  console.assert(memories.length === 1 && memories[0].id === kept.id, 'Persistent memory not restored');
+  console.assert(dropped === 1, 'Session memory not dropped');
+
+  const restored = new WorkingMemory(7);
+  restored.load(memories);
+  console.assert(restored.slots[0].content === 'Deploy from main only', 'Load failed');
+
+  // A corrupt snapshot starts empty instead of failing startup
+  fs.writeFileSync(filePath, '{"slots": [');
+  console.assert((await new MemorySnapshot(filePath).load()).memories.length === 0, 'Corrupt snapshot not ignored');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('✅ All tests passed!');
+}
+
+testMemorySnapshot().catch(console.error);
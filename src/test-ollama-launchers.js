@@ -0,0 +1,49 @@
+const { SpawnLauncher, ExternalLauncher, createLauncher } = require('./ollama-launchers.js');
+
+async function testOllamaLaunchers() {
+  console.log('Testing Ollama Launchers...');
+
+  // Explicit modes build that launcher; unknown modes are rejected
+  const spawnLauncher = await createLauncher('spawn', { binary: '/opt/ollama/bin/ollama', port: 11500 });
+  console.assert(spawnLauncher instanceof SpawnLauncher, 'Spawn mode not honoured');
+  console.assert(spawnLauncher.binary === '/opt/ollama/bin/ollama' && spawnLauncher.port === 11500, 'Spawn options not passed');
+  console.assert((await createLauncher('external')) instanceof ExternalLauncher, 'External mode not honoured');
+  try {
+    await createLauncher('docker');
+    console.assert(false, 'Unknown mode accepted');
+  } catch (error) {
+    console.assert(/Unknown Ollama lifecycle mode "docker"/.test(error.message), 'Unknown mode not reported');
+  }
+
+  // Auto falls back to external when nothing else is available
+  const missing = {
+    binary: 'elvis-missing-ollama-binary',
+    systemdUnit: 'elvis-missing-unit.service',
+    plistPath: '/nonexistent/com.ollama.server.plist'
+  };
+  console.assert((await createLauncher('auto', missing)) instanceof ExternalLauncher, 'Auto did not fall back to external');
+
+  // A binary that cannot be spawned leaves no stale child behind
+  const broken = new SpawnLauncher(missing);
+  const started = await broken.start();
+  console.assert(started.success, 'Spawn failure should surface asynchronously');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  console.assert(broken.child === null, 'Stale child kept after ENOENT');
+
+  // Crash restarts stop at maxRestarts within the window
+  const flaky = new SpawnLauncher();
+  flaky.spawnChild = () => {};
+  for (let i = 0; i < flaky.maxRestarts + 2; i++) {
+    flaky.restartChild();
+  }
+  console.assert(flaky.restarts.length === flaky.maxRestarts, `Expected ${flaky.maxRestarts} restarts, got ${flaky.restarts.length}`);
+
+  // Restarts older than the window no longer count
+  flaky.restarts = flaky.restarts.map(t => t - flaky.restartWindow);
+  flaky.restartChild();
+  console.assert(flaky.restarts.length === 1, 'Old restarts still counted');
+
+  console.log('✅ All tests passed!');
+}
+
+testOllamaLaunchers().catch(console.error);
@@ -0,0 +1,30 @@
+
+const { listPrompts, getPrompt } = require('./prompts.js');
+
+console.log('Testing Prompt Templates...');
+
+const names = listPrompts().map(p => p.name);
+console.assert(['code_review', 'summarize', 'explain_screen_error', 'compare_answers'].every(n => names.includes(n)), 'Prompt list failed');
+
+const review = getPrompt('code_review', { code: 'let x = 1', language: 'js' }, { reviewModel: 'deepseek-r1', memory: '- [decision] Use tabs' });
+const reviewText = review.messages[0].content.text;
+console.assert(reviewText.includes('elvis_delegate') && reviewText.includes('deepseek-r1'), 'Review model not used');
+console.assert(reviewText.includes('Use tabs'), 'Working memory not injected');
+
+const compare = getPrompt('compare_answers', { question: '2+2?', models: 'a, b' }, { defaultModel: 'c' });
+const compareText = compare.messages[0].content.text;
+console.assert(compareText.includes('elvis_compare') && compareText.includes('"a",\n    "b"') && !compareText.includes('"c"'), 'Compare models failed');
+
+// One installed model: no elvis_compare call, ask for a second model instead
+const single = getPrompt('compare_answers', { question: '2+2?' }, { defaultModel: 'c', installedModels: ['c'] }).messages[0].content.text;
+console.assert(!single.includes('elvis_compare') && /ollama pull/.test(single), 'Single-model compare not refused');
+
+let threw = false;
+try {
+  getPrompt('summarize', {});
+} catch (error) {
+  threw = /missing required arguments: text/.test(error.message);
+}
+console.assert(threw, 'Missing argument not reported');
+
+console.log('✅ All tests passed!');
@@ -0,0 +1,31 @@
+
+const { parseXrandr, parseWlrRandr } = require('./screen-backends.js');
+
+console.log('Testing Screen Backends...');
+
+const xrandrOutput = `Screen 0: minimum 8 x 8, current 4480 x 1440, maximum 32767 x 32767
+DP-1 connected primary 2560x1440+0+0 (normal left inverted right x axis y axis) 597mm x 336mm
+   2560x1440     59.95*+
+HDMI-1 connected 1920x1080+2560+180 (normal left inverted right x axis y axis) 527mm x 296mm
+   1920x1080     60.00*+
+DP-2 disconnected (normal left inverted right x axis y axis)
+`;
+
+const displays = parseXrandr(xrandrOutput);
+console.assert(displays.length === 2, 'Connected display count failed');
+console.assert(displays[0].primary === true && displays[0].width === 2560, 'Primary display parse failed');
+console.assert(displays[1].x === 2560 && displays[1].y === 180, 'Display offset parse failed');
+
+// Xvfb exposes a single screen
+const xvfb = parseXrandr('Screen 0: minimum 1 x 1, current 1280 x 800\nscreen connected 1280x800+0+0 0mm x 0mm\n');
+console.assert(xvfb.length === 1 && xvfb[0].height === 800, 'Xvfb parse failed');
+
+// wlr-randr reports physical modes; geometry is in logical (scaled) pixels
+const wayland = parseWlrRandr(JSON.stringify([
+  { name: 'eDP-1', enabled: true, position: { x: 0, y: 0 }, scale: 2, modes: [{ width: 2880, height: 1800, current: true }] },
+  { name: 'HDMI-A-1', enabled: false, modes: [] }
+]));
+console.assert(wayland.length === 1 && wayland[0].name === 'eDP-1', 'Disabled output not skipped');
+console.assert(wayland[0].width === 1440 && wayland[0].scale === 2, 'Scaled geometry failed');
+
+console.log('✅ All tests passed!');
@@ -0,0 +1,47 @@
+const { compileSchema, parseReply, checkReply, repairPrompt, SchemaMismatchError } = require('./structured-output.js');
+const ModelHealthTracker = require('./model-health.js');
+
+console.log('Testing Structured Output...');
+
+const validate = compileSchema({
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+  required: ['name', 'age']
+});
+
+console.assert(parseReply('```json\n{"a": 1}\n```').a === 1, 'Fenced reply not parsed');
+
+const good = checkReply('{"name": "Ada", "age": 36}', validate);
+console.assert(good.errors.length === 0 && good.value.name === 'Ada', 'Valid reply rejected');
+
+const bad = checkReply('{"name": 7}', validate);
+console.assert(bad.errors.length === 2, `Expected 2 errors, got ${bad.errors.length}`);
+console.assert(bad.errors.some(e => /age/.test(e)), 'Missing property not reported');
+
+const notJson = checkReply('Sure! Here is the JSON', validate);
+console.assert(notJson.value === null && /not valid JSON/.test(notJson.errors[0]), 'Invalid JSON not reported');
+
+const repair = repairPrompt('Extract it', '{"name": 7}', bad.errors);
+console.assert(repair.startsWith('Extract it') && repair.includes('{"name": 7}') && repair.includes(bad.errors[0]), 'Repair prompt failed');
+
+let threw = false;
+try {
+  compileSchema({ type: 'nonsense' });
+} catch (error) {
+  threw = /Invalid response_schema/.test(error.message);
+}
+console.assert(threw, 'Invalid schema accepted');
+
+// Exhausted schema retries do not trip the circuit breaker; real model failures still do
+const tracker = new ModelHealthTracker(['llama3.2'], { failureThreshold: 2 });
+const mismatch = new SchemaMismatchError(['.age should be integer'], 3);
+console.assert(/after 3 attempts/.test(mismatch.message) && mismatch.errors.length === 1, 'Mismatch error message failed');
+for (let i = 0; i < 3; i++) {
+  tracker.recordError('llama3.2', mismatch);
+}
+console.assert(tracker.health['llama3.2'].status === 'active' && tracker.health['llama3.2'].failures === 0, 'Schema exhaustion disabled the model');
+tracker.recordError('llama3.2', new Error('Ollama error: model crashed'));
+tracker.recordError('llama3.2', new Error('Ollama error: model crashed'));
+console.assert(tracker.health['llama3.2'].status === 'disabled', 'Model failures not counted');
+
+console.log('✅ All tests passed!');
@@ -0,0 +1,52 @@
+
+const TaskScheduler = require('./task-scheduler.js');
+
+async function testTaskScheduler() {
+  console.log('Testing Task Scheduler...');
+
+  const scheduler = new TaskScheduler({ globalLimit: 2, perModelLimit: 1 });
+  const started = [];
+  const releases = {};
+
+  const job = (id) => () => new Promise(resolve => {
+    started.push(id);
+    releases[id] = resolve;
+  });
+
+  scheduler.enqueue('a1', 'llama3.2', 5, job('a1'));
+  scheduler.enqueue('a2', 'llama3.2', 5, job('a2'));
+  scheduler.enqueue('a3', 'llama3.2', 7, job('a3'));
+  scheduler.enqueue('b1', 'phi3:mini', 5, job('b1'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  // Per-model limit: only one llama3.2 job runs, phi3:mini is not blocked by it
+  console.assert(started.join(',') === 'a1,b1', `Initial start order failed: ${started}`);
+
+  // Higher priority jumps ahead, FIFO otherwise
+  console.assert(scheduler.getQueueInfo('a3').position === 1, 'Priority ordering failed');
+  console.assert(scheduler.getQueueInfo('a2').position === 2, 'FIFO ordering failed');
+
+  // No history yet, so the wait is unknown
+  console.assert(scheduler.getQueueInfo('a2').estimatedWaitMs === null, 'Unknown estimate failed');
+  scheduler.recordDuration('llama3.2', 10000);
+  scheduler.recordDuration('phi3:mini', 2000);
+  console.assert(scheduler.getQueueInfo('a2').estimatedWaitMs > 0, 'Wait estimate failed');
+
+  releases.a1();
+  await new Promise(resolve => setImmediate(resolve));
+  console.assert(started.join(',') === 'a1,b1,a3', `Dequeue order failed: ${started}`);
+  console.assert(scheduler.isQueued('a2') && !scheduler.isRunning('a2'), 'Queue state failed');
+
+  // Cancelling a queued job dequeues it; cancelling a running job aborts its signal
+  let abortedSignal = null;
+  releases.b1();
+  scheduler.enqueue('c1', 'mistral', 5, (signal) => { abortedSignal = signal; return new Promise(() => {}); });
+  await new Promise(resolve => setImmediate(resolve));
+  console.assert(scheduler.cancel('a2') === 'dequeued' && !scheduler.isQueued('a2'), 'Dequeue cancel failed');
+  console.assert(scheduler.cancel('c1') === 'aborted' && abortedSignal.aborted, 'Abort cancel failed');
+  console.assert(scheduler.cancel('missing') === null, 'Unknown cancel failed');
+
+  console.log('✅ All tests passed!');
+}
+
+testTaskScheduler().catch(console.error);
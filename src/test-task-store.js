@@ -0,0 +1,41 @@
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileTaskStore } = require('./task-store.js');
+
+async function testTaskStore() {
+  console.log('Testing File Task Store...');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elvis-tasks-'));
+  const filePath = path.join(dir, 'tasks.jsonl');
+
+  // First "process": one completed task, one left processing
+  const store = new FileTaskStore(filePath);
+  await store.load();
+  store.create({ id: 'task_a', task: 'done', status: 'pending' });
+  store.update('task_a', { status: 'completed', result: 'ok' });
+  store.create({ id: 'task_b', task: 'running', status: 'pending' });
+  store.update('task_b', { status: 'processing' });
+  await store.flush();
+
+  // Simulate a crash mid-write
+  fs.appendFileSync(filePath, '{"event":"completed","task":{"id":"task_b"');
+
+  // Second "process": reload
+  const restored = new FileTaskStore(filePath);
+  const { loaded, interrupted } = await restored.load();
+  console.assert(loaded === 2, 'Reload count failed');
+  console.assert(interrupted === 1, 'Interrupted count failed');
+  console.assert(restored.get('task_a').result === 'ok', 'Completed result not restored');
+  console.assert(restored.get('task_b').status === 'interrupted', 'Processing task not interrupted');
+
+  // Log is compacted to one line per task
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  console.assert(lines.length === 2, 'Compaction failed');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('✅ All tests passed!');
+}
+
+testTaskStore().catch(console.error);
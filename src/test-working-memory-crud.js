@@ -0,0 +1,56 @@
+const WorkingMemory = require('./working-memory.js');
+
+console.log('Testing Working Memory CRUD...');
+
+const wm = new WorkingMemory(3);
+const decision = wm.add('Use Postgres for teh new service', 'decision', 2, ['manual', 'db']);
+const pattern = wm.add('Builds take 3 minutes', 'pattern', 5, ['manual']);
+
+// Update fixes content and drops the stale embedding
+decision.embedding = [1, 0];
+wm.update(decision.id, { content: 'Use Postgres for the new service', tags: ['manual', 'db', 'infra'] });
+console.assert(decision.content === 'Use Postgres for the new service' && !decision.embedding, 'Update failed');
+console.assert(wm.update('wm_missing', { priority: 3 }) === null, 'Missing memory updated');
+
+// New tags replace the old ones but keep "manual"
+wm.update(decision.id, { tags: ['db', 'infra'] });
+console.assert(decision.systemTags.join() === 'manual,db,infra', 'Update dropped the manual tag');
+
+// Truncation is recorded instead of silent
+const long = wm.add('x'.repeat(250), 'reference', 1);
+console.assert(long.content.length === WorkingMemory.MAX_CONTENT_LENGTH && long.metadata.originalLength === 250, 'Truncation not recorded');
+
+// Filters: category, every tag, status
+console.assert(wm.list(false, { tags: ['db', 'infra'] }).length === 1, 'Tag filter failed');
+console.assert(wm.list(false, { category: 'pattern' })[0].id === pattern.id, 'Category filter failed');
+console.assert(wm.list(false, { status: 'archived' }).length === 0, 'Status filter failed');
+
+// Pinned memories survive eviction and clear; one slot always stays unpinned
+wm.pin(decision.id);
+wm.pin(pattern.id);
+let threw = false;
+try {
+  wm.pin(long.id);
+} catch (error) {
+  threw = /At most 2 of 3 slots/.test(error.message);
+}
+console.assert(threw, 'Pinning every slot allowed');
+
+wm.add('Newest memory', 'result', 1);
+console.assert(!wm.slots.some(m => m.id === long.id), 'Unpinned memory not evicted');
+console.assert(wm.slots.some(m => m.id === decision.id), 'Pinned low-priority memory evicted');
+
+console.assert(wm.clear() === 1 && wm.slots.length === 2, 'Clear removed pinned memories');
+
+wm.pin(pattern.id, false);
+console.assert(wm.delete(pattern.id).id === pattern.id && wm.slots.length === 1, 'Delete failed');
+console.assert(wm.delete(pattern.id) === null, 'Deleted twice');
+
+// A snapshot with more pins than allowed keeps one slot unpinned
+const shrunk = new WorkingMemory(2);
+shrunk.load([decision, pattern].map(m => ({ ...m, metaTags: { ...m.metaTags, pinned: true } })));
+console.assert(shrunk.slots.filter(m => m.metaTags.pinned).length === 1, 'Load kept too many pins');
+shrunk.add('Fits after load', 'result', 1);
+console.assert(shrunk.slots.length === 2, 'Add after load failed');
+
+console.log('✅ All tests passed!');
@@ -1,9 +1,33 @@
 // working-memory.js - Simple working memory implementation for testing
 
-class WorkingMemory {
+const { EventEmitter } = require('events');
+const { cosineSimilarity } = require('./embeddings.js');
+
+// Longer content is cut to this length (metadata.originalLength records the full length)
+const MAX_CONTENT_LENGTH = 200;
+
+const MEMORY_CATEGORIES = ['decision', 'insight', 'pattern', 'reference', 'task', 'result'];
+
+// Emits 'change' whenever memories are added, accessed, updated, embedded, pinned, deleted,
+// evicted or cleared, 'add' (memory) for each new memory, 'update' (memory) after an edit,
+// and 'evict' (memory, reason) for each memory that leaves ("evicted" or "cleared")
+class WorkingMemory extends EventEmitter {
   constructor(maxSlots = 7) {
+    super();
     this.maxSlots = maxSlots;
     this.slots = [];
+    this.relevanceContext = []; // embeddings of the work in progress (e.g. active tasks)
+  }
+
+  // Set the embeddings that memories are scored against for relevance
+  setRelevanceContext(vectors) {
+    this.relevanceContext = vectors.filter(Boolean);
+  }
+
+  // Highest similarity between a memory and the relevance context (0 without embeddings)
+  relevance(memory) {
+    if (!memory.embedding || this.relevanceContext.length === 0) return 0;
+    return Math.max(0, ...this.relevanceContext.map(v => cosineSimilarity(memory.embedding, v)));
   }
 
   // Calculate value score for eviction
@@ -22,19 +46,21 @@ class WorkingMemory {
       'result': 0.4
     }[memory.metaTags.category] || 0.5;
     
+    // Relevance adds to the score, so memories related to active tasks survive longer
     return (ageDecay * 0.3) + (accessBonus * 0.2) + 
-           (priorityWeight * 0.3) + (categoryWeight * 0.2);
+           (priorityWeight * 0.3) + (categoryWeight * 0.2) +
+           (this.relevance(memory) * 0.3);
   }
 
-  // Add a new memory
-  add(content, category, priority = 5, tags = []) {
+  // Add a new memory; persistence "persistent" keeps it across restarts
+  add(content, category, priority = 5, tags = [], persistence = 'session') {
     const memory = {
       id: `wm_${Date.now()}_${Math.random().toString(36).substring(7)}`,
       priority: Math.min(Math.max(priority, 1), 7),
-      content: content.substring(0, 200), // Limit content size
+      content: content.substring(0, MAX_CONTENT_LENGTH), // Limit content size
       metaTags: {
         layer: 'working_memory',
-        persistence: 'session',
+        persistence,
         visibility: 'on_demand',
         category: category,
         status: 'active',
@@ -48,36 +74,107 @@ class WorkingMemory {
         source: 'manual'
       }
     };
-
-    // Check if we need to evict
-    if (this.slots.length >= this.maxSlots) {
-      this.evictLowestValue();
+    if (content.length > MAX_CONTENT_LENGTH) {
+      memory.metadata.originalLength = content.length;
     }
 
+    this.makeRoom();
+
     this.slots.push(memory);
+    this.emit('add', memory);
+    this.emit('change');
     return memory;
   }
 
-  // Evict the lowest value memory
-  evictLowestValue() {
-    if (this.slots.length === 0) return null;
+  // Attach an embedding computed after the memory was added; false if it is gone
+  setEmbedding(memoryId, vector, model = null) {
+    const memory = this.slots.find(m => m.id === memoryId);
+    if (!memory) return false;
+    memory.embedding = vector;
+    memory.embeddingModel = model;
+    this.emit('change');
+    return true;
+  }
 
-    // Calculate values for all memories
-    const scored = this.slots.map(m => ({
-      memory: m,
-      score: this.calculateValue(m)
-    })).sort((a, b) => a.score - b.score);
+  // Change content, category, priority, tags or persistence; returns the memory or null if not found
+  update(memoryId, changes) {
+    const memory = this.slots.find(m => m.id === memoryId);
+    if (!memory) return null;
 
-    const evicted = scored[0].memory;
-    
-    // Archive important memories before eviction
-    if (evicted.metaTags.category === 'decision' || 
-        evicted.metaTags.category === 'insight') {
-      console.log(`📦 Archiving important memory: ${evicted.id}`);
+    if (changes.content !== undefined) {
+      memory.content = changes.content.substring(0, MAX_CONTENT_LENGTH);
+      if (changes.content.length > MAX_CONTENT_LENGTH) {
+        memory.metadata.originalLength = changes.content.length;
+      } else {
+        delete memory.metadata.originalLength;
+      }
+      delete memory.embedding; // Stale until re-embedded
+      delete memory.embeddingModel;
+    }
+    if (changes.category !== undefined) memory.metaTags.category = changes.category;
+    if (changes.priority !== undefined) memory.priority = Math.min(Math.max(changes.priority, 1), 7);
+    if (changes.tags !== undefined) {
+      // The new tags replace the old ones, but a manually added memory stays tagged "manual"
+      const manual = memory.systemTags.includes('manual') ? ['manual'] : [];
+      memory.systemTags = [...manual, ...changes.tags.filter(tag => !manual.includes(tag))];
+    }
+    if (changes.persistence !== undefined) memory.metaTags.persistence = changes.persistence;
+    memory.metadata.updated = new Date().toISOString();
+
+    this.emit('update', memory);
+    this.emit('change');
+    return memory;
+  }
+
+  // Remove one memory without archiving it; returns the memory or null if not found
+  delete(memoryId) {
+    const memory = this.slots.find(m => m.id === memoryId);
+    if (!memory) return null;
+
+    this.slots = this.slots.filter(m => m.id !== memoryId);
+    this.emit('change');
+    return memory;
+  }
+
+  // Pinned memories are never evicted; one slot always stays unpinned so adds can succeed
+  pin(memoryId, pinned = true) {
+    const memory = this.slots.find(m => m.id === memoryId);
+    if (!memory) return null;
+
+    if (pinned && !memory.metaTags.pinned &&
+        this.slots.filter(m => m.metaTags.pinned).length >= this.maxSlots - 1) {
+      throw new Error(`At most ${this.maxSlots - 1} of ${this.maxSlots} slots can be pinned; unpin another memory first`);
     }
 
-    // Remove from slots
+    memory.metaTags.pinned = pinned;
+    this.emit('change');
+    return memory;
+  }
+
+  // The memory evictLowestValue() would remove next (lowest value, never pinned), or null
+  nextEviction() {
+    const scored = this.slots
+      .filter(m => !m.metaTags.pinned)
+      .map(m => ({ memory: m, score: this.calculateValue(m) }))
+      .sort((a, b) => a.score - b.score);
+    return scored.length > 0 ? scored[0].memory : null;
+  }
+
+  // Free a slot if memory is full; throws if every slot is pinned
+  makeRoom() {
+    if (this.slots.length >= this.maxSlots && !this.evictLowestValue()) {
+      throw new Error('Working memory is full and every memory is pinned; unpin or delete one first');
+    }
+  }
+
+  // Evict the lowest value memory
+  evictLowestValue() {
+    const evicted = this.nextEviction();
+    if (!evicted) return null;
+
+    // Remove from slots; listeners archive the memories worth keeping
     this.slots = this.slots.filter(m => m.id !== evicted.id);
+    this.emit('evict', evicted, 'evicted');
     
     return evicted;
   }
@@ -88,19 +185,66 @@ class WorkingMemory {
     if (memory) {
       memory.metadata.lastAccessed = new Date().toISOString();
       memory.metadata.accessCount++;
+      this.emit('change');
     }
     return memory;
   }
 
-  // List all memories
-  list(verbose = false) {
+  // Put back a memory that left working memory (e.g. from the archive), keeping its ID
+  restore(memory) {
+    this.makeRoom();
+
+    const persistence = (memory.archive && memory.archive.persistence) || 'session';
+    const restored = {
+      ...memory,
+      metaTags: { ...memory.metaTags, layer: 'working_memory', persistence, status: 'active' },
+      metadata: { ...memory.metadata, lastAccessed: new Date().toISOString(), source: 'archive' }
+    };
+    delete restored.archive;
+
+    this.slots.push(restored);
+    this.emit('change');
+    return restored;
+  }
+
+  // Replace the slots with memories restored from a snapshot (newest kept if there are too many)
+  // Pins beyond maxSlots - 1 (e.g. after memory.slots was lowered) are dropped so adds can succeed
+  load(memories) {
+    this.slots = memories.slice(-this.maxSlots);
+    let pinned = 0;
+    for (const memory of this.slots) {
+      if (memory.metaTags.pinned && ++pinned > this.maxSlots - 1) {
+        memory.metaTags.pinned = false;
+      }
+    }
+    return this.slots.length;
+  }
+
+  // Remove every memory except pinned ones; returns how many were removed
+  clear() {
+    const cleared = this.slots.filter(m => !m.metaTags.pinned);
+    this.slots = this.slots.filter(m => m.metaTags.pinned);
+    cleared.forEach(memory => this.emit('evict', memory, 'cleared'));
+    this.emit('change');
+    return cleared.length;
+  }
+
+  // List memories, optionally filtered: { category, tags (all must match), status }
+  list(verbose = false, filters = {}) {
+    const memories = this.slots.filter(m =>
+      (!filters.category || m.metaTags.category === filters.category) &&
+      (!filters.tags || filters.tags.every(tag => (m.systemTags || []).includes(tag))) &&
+      (!filters.status || m.metaTags.status === filters.status));
+
     if (verbose) {
-      return this.slots.map(m => ({
+      // Embeddings are left out: hundreds of numbers per memory
+      return memories.map(({ embedding, ...m }) => ({
         ...m,
-        value: this.calculateValue(m).toFixed(3)
+        embedded: Boolean(embedding),
+        value: this.calculateValue({ ...m, embedding }).toFixed(3)
       }));
     }
-    return this.slots;
+    return memories;
   }
 
   // Get summary for display
@@ -117,7 +261,7 @@ class WorkingMemory {
         'result': '📊'
       }[memory.metaTags.category] || '📝';
       
-      summary.push(`${index + 1}. ${icon} [${memory.metaTags.category.toUpperCase()}] ${memory.content.substring(0, 50)}... (accessed ${memory.metadata.accessCount}x)`);
+      summary.push(`${index + 1}. ${icon}${memory.metaTags.pinned ? '📌' : ''} [${memory.metaTags.category.toUpperCase()}] ${memory.content.substring(0, 50)}... (accessed ${memory.metadata.accessCount}x)`);
     });
     
     return summary.join('\n');
@@ -125,3 +269,5 @@ class WorkingMemory {
 }
 
 module.exports = WorkingMemory;
+module.exports.MAX_CONTENT_LENGTH = MAX_CONTENT_LENGTH;
+module.exports.MEMORY_CATEGORIES = MEMORY_CATEGORIES;
@@ -1,11 +1,14 @@
 #!/usr/bin/env node
+// On a headless Linux box, run under a virtual X server:
+//   xvfb-run -s "-screen 0 1280x800x24" node test-screen-control.js
+// ELVIS_SCREEN_BACKEND=x11|imagemagick forces a specific backend.
 
 const ScreenControl = require('./src/screen-control.js');
 
 async function testScreenControl() {
   console.log('🧪 Testing ELVIS Screen Control...\n');
   
-  const screen = new ScreenControl();
+  const screen = new ScreenControl({ backend: process.env.ELVIS_SCREEN_BACKEND || 'auto' });
   await screen.init();
   
   // Test 1: Get screen info